@@ -10,6 +10,367 @@
 
 const React = BdApi.React;
 
+// Pinned ace-builds release, used for the CDN and by `scripts/build.js --bundle`
+const ACE_VERSION = "1.43.3";
+const ACE_CDN_URL = `https://cdn.jsdelivr.net/npm/ace-builds@${ACE_VERSION}/src-min-noconflict/`;
+
+// Ace files the plugin uses, keyed by the module id Ace loads them as. The
+// SHA-384 hashes pin the exact ace-builds files fetched from the CDN.
+const ACE_FILES = {
+  "ace/ace": {
+    file: "ace.js",
+    integrity:
+      "sha384-epajLUutfGVWX7WL7lCu56zePc3H/0tlSo64TRUZU9M+wT6zGjPnw5T3g5lzq+zC",
+  },
+  "ace/keyboard/vim": {
+    file: "keybinding-vim.js",
+    integrity:
+      "sha384-psD8KWUD8EpfOPpp5/IcFPrHnm0u01ryuyoSjUo0w5nlXtn7KhIYFNw6SeItZYJG",
+  },
+  "ace/theme/dracula": {
+    file: "theme-dracula.js",
+    integrity:
+      "sha384-PpSxOZCA3YQeDNMflckvWI+Y9298TZIEKgRRNjnYuse3YEHvexbrjRUYx13nwO9I",
+  },
+  "ace/theme/monokai": {
+    file: "theme-monokai.js",
+    integrity:
+      "sha384-6n33Rx97ikbTD/59t3MaOjZr+2YlPm+OclIyf9Qv85se93NbaAvkrbDagVDwHU2l",
+  },
+  "ace/theme/one_dark": {
+    file: "theme-one_dark.js",
+    integrity:
+      "sha384-c0eGjHhmjnyuFRv7CXeawT1SYYy+q+T9u7aHebzbrGlxR7MsBzyqvD8/30yEQ++s",
+  },
+  "ace/theme/tomorrow_night": {
+    file: "theme-tomorrow_night.js",
+    integrity:
+      "sha384-wDwbhewf67S+uC0KeXAPFxz6bmHmxZlaOvz7eRUe0Ggbjawf2iuNCpSWZM1sIs/M",
+  },
+  "ace/theme/nord_dark": {
+    file: "theme-nord_dark.js",
+    integrity:
+      "sha384-dpfX/3H3m6u0rNwWni9xDSd3rrnBZOmlML87fVP/VayOwwuPV3UIPYncm7VJuKDD",
+  },
+  "ace/theme/gruvbox": {
+    file: "theme-gruvbox.js",
+    integrity:
+      "sha384-aVtp/qu/71VzVuOaIbUgevwtDJbyB7+hIiWZBGgZqUa5A5i0TrXOgXab1usjhKFY",
+  },
+  "ace/theme/solarized_dark": {
+    file: "theme-solarized_dark.js",
+    integrity:
+      "sha384-+3UeheXL8uneb/7zjEPh5BittUcjile2P0y9QeiPIGVmyO5oTdKDaEDfqmKi6RUD",
+  },
+  "ace/theme/github_dark": {
+    file: "theme-github_dark.js",
+    integrity:
+      "sha384-nVN4dDa6II1ZZTsJtfakyBgggY8lekRI+d6il4HOw6zebuk7BVnXwY+gkK9dYfg5",
+  },
+  "ace/theme/twilight": {
+    file: "theme-twilight.js",
+    integrity:
+      "sha384-HBfZsrsw71vRkLsWe1rEE/zLgqgbwS9tY5TMj+hpM8Ie+tTihRm5UkOn2YyYzjDu",
+  },
+  "ace/theme/solarized_light": {
+    file: "theme-solarized_light.js",
+    integrity:
+      "sha384-wCZb12BnJJq0YPZuabVboG0oea+9HdGqRKOtyZavFuou4qsYI7a/hsrhDA5KdMz3",
+  },
+  "ace/theme/github_light_default": {
+    file: "theme-github_light_default.js",
+    integrity:
+      "sha384-QsTk0sm+uZFOjeeHRIxbX23pdiO4YHdkp4gdLvmp4Mg8DMI6cMI9INVj1JL2Ubvj",
+  },
+  "ace/theme/chrome": {
+    file: "theme-chrome.js",
+    integrity:
+      "sha384-uOlVPZfQXFZofTCU/B1H8M3c6hww7F3VOufsGRLzlK4l9blvVqfJeONjYJM5+tnb",
+  },
+  "ace/ext/language_tools": {
+    file: "ext-language_tools.js",
+    integrity:
+      "sha384-P8lwCzvS6J9oVw5bzzXI2KIMvzRAhWEIgTXqk7n9UtkA8RLWD9VfU1EbpPXFrrOI",
+  },
+  // Languages highlighted inside ``` fences, loaded on first use
+  "ace/mode/javascript": {
+    file: "mode-javascript.js",
+    integrity:
+      "sha384-TqL+Q/Xn8Jx88bz0/T+zc7GyAca958zWb+AvsN69IC/CvSBlWneeWeG+t/3prQGU",
+  },
+  "ace/mode/typescript": {
+    file: "mode-typescript.js",
+    integrity:
+      "sha384-wrT2e/xRXxXlVvomgNc2plRfve5SLnKuVfjbjgFAt8Lk7q1eML2bT9HyX7zzXgHr",
+  },
+  "ace/mode/python": {
+    file: "mode-python.js",
+    integrity:
+      "sha384-j51e7jyptSVzmE/VlNa2e3wCIsYvHqgrgGrRcRAiB2uNRid+2mpR7fToC4O2GogV",
+  },
+  "ace/mode/rust": {
+    file: "mode-rust.js",
+    integrity:
+      "sha384-kqWyKmCL8C7DNXc/ExyCUThaJsONFOls+BLXW5xj05/F3nKlYuoANFMUiTLqIv7S",
+  },
+  "ace/mode/golang": {
+    file: "mode-golang.js",
+    integrity:
+      "sha384-vTHVnE30g0z0z7XOZFudUR64XC/0KiNKyKk8Xx65N5JHic2ngnRenDlGVvfPSiSj",
+  },
+  "ace/mode/json": {
+    file: "mode-json.js",
+    integrity:
+      "sha384-3HL3YZxzOVZZpgplS97aietQRGn0wStQ/vGP0ALupqcVI2CUN+6KH8HJwnx6aggA",
+  },
+  "ace/mode/diff": {
+    file: "mode-diff.js",
+    integrity:
+      "sha384-MZa18BrsVfSmjdcmievlSjv+hdyyD68xPH8xqtvZ+uZaxRScpd4DRQvnY3P1peMK",
+  },
+  "ace/mode/sql": {
+    file: "mode-sql.js",
+    integrity:
+      "sha384-HKqBDeq9zgwI5KKbEgsvVYdDeTDdB8LcI6y0k6KZvakIvr8x2U8Tjr1l7yE5bMQH",
+  },
+  "ace/mode/sh": {
+    file: "mode-sh.js",
+    integrity:
+      "sha384-XWHjBo7+vmVmHtNgqjNElvIMvMjhRYpwfmi3hFp4PYgie1QO+63RB22sinzh0YXh",
+  },
+  "ace/mode/css": {
+    file: "mode-css.js",
+    integrity:
+      "sha384-c+6zIrdCST/TK3wg1NzOhn/0O7Z5usjfIyFheCGB3eCTomI8Bm7yMlrpWnFsWDOJ",
+  },
+  "ace/mode/html": {
+    file: "mode-html.js",
+    integrity:
+      "sha384-RaYUPV4R6GqWPyEUnzRHMpGny7SR/mLg86APGhCIw+VzsTxkmuc6pB0a28+C5GO0",
+  },
+  "ace/mode/c_cpp": {
+    file: "mode-c_cpp.js",
+    integrity:
+      "sha384-nssQCqtELpVjJzkI/mf5m60FwKTYdKWF+ctFlP4/RG5p78pltsE70JuQjHWPjqI8",
+  },
+  "ace/mode/java": {
+    file: "mode-java.js",
+    integrity:
+      "sha384-JRE0iUYxC0jLvtGAX6P/2Zk76u7K+BWfyK5/gPjDx1vzVCMJODpWPyU0SlMPg/3N",
+  },
+  "ace/mode/csharp": {
+    file: "mode-csharp.js",
+    integrity:
+      "sha384-WMmyDW+BFi5r4QYwnvIjsga1CPAPZCK0YQo0R8RbIUbGcncM7/+JwP/L7XdULQwm",
+  },
+  "ace/mode/yaml": {
+    file: "mode-yaml.js",
+    integrity:
+      "sha384-Dr6jnWfrx6qwjpo3tseuLd1WiQwOEa29k2J5swt4sXFlEXJDCLAvC4ilOIdOjI75",
+  },
+  "ace/mode/lua": {
+    file: "mode-lua.js",
+    integrity:
+      "sha384-uMeNZmXYC/i30xNCqBSA666a6ZJamdL8yPPUdD+mLdEojGmf4dHVqCtr05gbuXgF",
+  },
+  "ace/mode/ruby": {
+    file: "mode-ruby.js",
+    integrity:
+      "sha384-/7SMSPLFForkhtJkC8Pw0uG9XPszwjgu//FSz12uAR/BKCb0uY9asJyAAexUs9JO",
+  },
+};
+
+// BdApi.Data store holding verified CDN downloads between restarts
+const ACE_CACHE_STORE = "VimMotionsAceCache";
+
+// Replaced with a map of file name -> source by `scripts/build.js --bundle`
+const EMBEDDED_ACE = null;
+
+// Discord markdown token colors shown in settings, in display order
+const SYNTAX_COLOR_NAMES = {
+  heading: "Headings & Lists",
+  bold: "Bold",
+  italic: "Italic",
+  underline: "Underline",
+  strike: "Strikethrough",
+  spoiler: "Spoilers",
+  code: "Code",
+  quote: "Quotes & Subtext",
+  link: "Links",
+  mention: "Mentions & Channels",
+  emoji: "Emoji",
+};
+
+// Editor themes offered in settings: "custom" is Dracula with the color
+// settings on top, "discord" follows Discord's own CSS variables
+const EDITOR_THEMES = {
+  custom: "Custom Colors",
+  discord: "Adapt to Discord",
+  dracula: "Dracula",
+  monokai: "Monokai",
+  one_dark: "One Dark",
+  tomorrow_night: "Tomorrow Night",
+  nord_dark: "Nord Dark",
+  gruvbox: "Gruvbox",
+  solarized_dark: "Solarized Dark",
+  github_dark: "GitHub Dark",
+  twilight: "Twilight",
+  solarized_light: "Solarized Light",
+  github_light_default: "GitHub Light",
+  chrome: "Chrome",
+};
+
+// Code block language tags -> Ace mode names (ace/mode/<name>)
+const FENCE_LANGUAGES = {
+  js: "javascript",
+  javascript: "javascript",
+  jsx: "javascript",
+  ts: "typescript",
+  typescript: "typescript",
+  tsx: "typescript",
+  py: "python",
+  python: "python",
+  rs: "rust",
+  rust: "rust",
+  go: "golang",
+  golang: "golang",
+  json: "json",
+  diff: "diff",
+  patch: "diff",
+  sql: "sql",
+  sh: "sh",
+  bash: "sh",
+  shell: "sh",
+  zsh: "sh",
+  css: "css",
+  html: "html",
+  xml: "html",
+  c: "c_cpp",
+  cpp: "c_cpp",
+  "c++": "c_cpp",
+  h: "c_cpp",
+  java: "java",
+  cs: "csharp",
+  csharp: "csharp",
+  yml: "yaml",
+  yaml: "yaml",
+  lua: "lua",
+  rb: "ruby",
+  ruby: "ruby",
+};
+
+// vimrc map command prefixes (nmap, vnoremap, iunmap, ...) -> mapping modes
+const VIMRC_MODE_PREFIXES = {
+  "": ["normal", "visual", "operatorPending"],
+  n: ["normal"],
+  v: ["visual"],
+  x: ["visual"],
+  o: ["operatorPending"],
+  i: ["insert"],
+  c: ["commandLine"],
+};
+
+// Vim key notation, e.g. "<C-w>", "<leader>" or a single character
+const VIM_KEY_PATTERN = /<(?:[CSMA]-)*[\w-]+>|./gi;
+
+// Special keys that stand for a literal character when typed as text
+const VIM_LITERAL_KEYS = {
+  "<space>": " ",
+  "<lt>": "<",
+  "<bar>": "|",
+  "<bslash>": "\\",
+};
+
+// Surround targets typed after ys, cs, ds and visual S -> [open, close].
+// Opening brackets pad with spaces like vim-surround, fences get own lines.
+const SURROUND_PAIRS = {
+  "*": ["*", "*"],
+  "**": ["**", "**"],
+  "***": ["***", "***"],
+  _: ["_", "_"],
+  __: ["__", "__"],
+  "~~": ["~~", "~~"],
+  "||": ["||", "||"],
+  "`": ["`", "`"],
+  "``": ["``", "``"],
+  "```": ["```\n", "\n```"],
+  '"': ['"', '"'],
+  "'": ["'", "'"],
+  "(": ["( ", " )"],
+  ")": ["(", ")"],
+  b: ["(", ")"],
+  "[": ["[ ", " ]"],
+  "]": ["[", "]"],
+  r: ["[", "]"],
+  "{": ["{ ", " }"],
+  "}": ["{", "}"],
+  B: ["{", "}"],
+  "<": ["< ", " >"],
+  ">": ["<", ">"],
+  a: ["<", ">"],
+};
+
+// Discord text objects (i* a* i| ...) -> patterns whose three groups are the
+// opening delimiter, the content and the closing delimiter
+const TEXT_OBJECTS = {
+  "*": [/(\*{1,3})(?=[^\s*])([^*]*?[^\s*])(\1)/g],
+  "|": [/(\|\|)([\s\S]+?)(\|\|)/g],
+  "`": [/(?<!`)(``?)(?!`)([^`]+?)(\1)(?!`)/g],
+  c: [/(```[^\n]*\n?)([\s\S]*?)(\n?```)/g],
+  q: [/^(>>> )([\s\S]*)()/gm, /^(> )([^\n]*(?:\n> [^\n]*)*)()/gm],
+  u: [/(<?)(https?:\/\/[^\s<>]*[^\s<>.,:;!?'")\]])(>?)/g],
+  m: [
+    /()(<(?:@[!&]?\d+|#\d+|a?:\w+:\d+|t:-?\d+(?::[tTdDfFR])?|\/[\w -]+:\d+)>|:\w+:|@everyone|@here)()/g,
+  ],
+};
+
+// vimrc `set` options -> config keys. Strings are aliases of another option.
+const VIMRC_OPTIONS = {
+  tabstop: { key: "tabSize", type: "number" },
+  ts: "tabstop",
+  shiftwidth: "tabstop",
+  sw: "tabstop",
+  softtabstop: "tabstop",
+  sts: "tabstop",
+  expandtab: { key: "expandTab", type: "boolean" },
+  et: "expandtab",
+  wrap: { key: "wrap", type: "boolean" },
+  cursorline: { key: "highlightActiveLine", type: "boolean" },
+  cul: "cursorline",
+  number: { key: "number", type: "boolean" },
+  nu: "number",
+  relativenumber: { key: "relativeNumber", type: "boolean" },
+  rnu: "relativenumber",
+  signcolumn: {
+    key: "signColumn",
+    type: "string",
+    values: ["auto", "yes", "no"],
+  },
+  scl: "signcolumn",
+  timeoutlen: { key: "sequenceTimeout", type: "number" },
+  tm: "timeoutlen",
+  clipboard: {
+    key: "clipboard",
+    type: "string",
+    values: ["", "unnamed", "unnamedplus"],
+  },
+  cb: "clipboard",
+};
+
+// Version of the saved config shape. Bump it and add a migration from the
+// previous version whenever the shape changes.
+const CONFIG_VERSION = 1;
+const CONFIG_MIGRATIONS = {
+  // 0 -> 1: settings were nested under `settings`
+  0: ({ settings, ...rest }) => ({ ...rest, ...settings }),
+};
+
+// Colors must be #rrggbb, hexToRgba() turns anything else into NaN
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Discord's MANAGE_MESSAGES permission bit
+const MANAGE_MESSAGES = 1n << 13n;
+
 // Flux Store for managing VimMotions state
 const Dispatcher = BdApi.Webpack.getModule((m) => m.dispatch && m.subscribe);
 const Flux = BdApi.Webpack.getModule(BdApi.Webpack.Filters.byKeys("Store"));
@@ -17,12 +378,22 @@ const useStateFromStores = BdApi.Webpack.getByStrings("useStateFromStores", {
   searchExports: true,
 });
 
+// Enable rule scopes, the first matching one decides for a channel
+const RULE_SCOPES = {
+  channel: "Channel",
+  guild: "Server",
+  dm: "All DMs",
+  groupDm: "All Group DMs",
+};
+
 class VimMotionsStore extends Flux.Store {
   constructor(dispatcher) {
     super(dispatcher, {});
     // Load global enabled state, default to true
     this._globalEnabled =
       BdApi.Data.load("VimMotions", "globalEnabled") ?? true;
+    // { scope, id, enabled, name } allow/deny rules
+    this._rules = BdApi.Data.load("VimMotions", "rules") ?? [];
   }
 
   isEnabled() {
@@ -34,6 +405,41 @@ class VimMotionsStore extends Flux.Store {
     BdApi.Data.save("VimMotions", "globalEnabled", this._globalEnabled);
     this.emitChange();
   }
+
+  getRules() {
+    return this._rules;
+  }
+
+  getRule(scope, id = null) {
+    return this._rules.find((r) => r.scope === scope && r.id === id) ?? null;
+  }
+
+  // enabled: true allows, false denies, null removes the rule
+  setRule(scope, id, enabled, name = null) {
+    id = scope === "dm" || scope === "groupDm" ? null : id;
+    const rules = this._rules.filter((r) => r.scope !== scope || r.id !== id);
+    if (enabled !== null) rules.push({ scope, id, enabled, name });
+    this._rules = rules;
+    BdApi.Data.save("VimMotions", "rules", this._rules);
+    this.emitChange();
+  }
+
+  // Most specific rule for the channel: channel, then server or DM type
+  getRuleForChannel(channel) {
+    if (!channel) return null;
+    const typeScope = { 1: "dm", 3: "groupDm" }[channel.type];
+    return (
+      this.getRule("channel", channel.id) ??
+      (channel.guild_id ? this.getRule("guild", channel.guild_id) : null) ??
+      (typeScope ? this.getRule(typeScope) : null)
+    );
+  }
+
+  // The global switch turns Vim off everywhere, rules decide within it
+  isEnabledForChannel(channel) {
+    if (!this._globalEnabled) return false;
+    return this.getRuleForChannel(channel)?.enabled ?? true;
+  }
 }
 
 const VimStore = new VimMotionsStore(Dispatcher);
@@ -44,15 +450,25 @@ module.exports = class VimMotionsPlugin {
     this.config = null;
     this.aceEditors = new Map(); // Map input elements to their Ace editor instances
     this.observer = null;
+    this.themeObserver = null; // Watches Discord's light/dark theme class
+    this.storeChangeListener = null; // Syncs editors with VimStore
+    this.hotkeyListener = null; // Global toggle shortcut
     this.activeInputs = new Set();
-    this.currentMode = "insert";
     this.onModeChange = null;
     this.aceLoaded = false;
+    this.aceSource = null; // "bundled" or "cdn" once Ace is loaded
     this.draftCache = new Map(); // Cache channel ID -> draft content
     this.channelChangeUnsubscribe = null; // Flux dispatcher unsubscribe function
     this.draftChangeUnsubscribe = null; // For emoji picker support
     this.lastProcessedDraft = new Map(); // Track last processed draft to avoid duplicates
     this.chatButtonPatchUnpatch = null; // Store unpatch function for chat buttons
+    this.appliedVimMappings = []; // Mappings registered in the shared Vim keymap
+    this.restoreRegisters = null; // Undoes the register hooks from setupRegisters
+    this.registerSaveTimer = null;
+    this.messageMode = null; // Message list navigation state while active
+    this.fenceModes = {}; // Ace mode name -> loaded Mode class for code fences
+    this.loadingFenceModes = new Set();
+    this.attachments = new Map(); // Channel ID -> files queued for upload
 
     this.defaultConfig = {
       fontSize: 16,
@@ -61,8 +477,45 @@ module.exports = class VimMotionsPlugin {
       backgroundColor: "#222327",
       cursorColor: "#a52327",
       highlightActiveLine: false,
+      number: false,
+      relativeNumber: false,
+      signColumn: "auto",
+      gutterMinLines: 5,
+      showStatusLine: false,
       sendInInsertMode: false,
       sendInNormalMode: true,
+      allowCdnFallback: true,
+      tabSize: 2,
+      expandTab: true,
+      wrap: true,
+      mapLeader: "\\",
+      mapLocalLeader: "\\",
+      sequenceTimeout: 1000,
+      clipboard: "",
+      persistRegisters: false,
+      messageModeKey: "<C-k>",
+      editLastMessageKey: "<leader>e",
+      editLastMessageOnUp: true,
+      cancelReplyKey: "<leader>c",
+      multiCursorKey: "<C-n>",
+      toggleHotkey: "Ctrl+Alt+V",
+      surroundPairs: [], // { trigger, open, close } added to SURROUND_PAIRS
+      theme: "custom",
+      lightTheme: "",
+      syntaxHighlighting: false,
+      syntaxColors: {
+        heading: "#ffffff",
+        bold: "#f2f3f5",
+        italic: "#dbdee1",
+        underline: "#dbdee1",
+        strike: "#949ba4",
+        spoiler: "#b5bac1",
+        code: "#e6db74",
+        quote: "#949ba4",
+        link: "#00a8fc",
+        mention: "#c9cdfb",
+        emoji: "#f0b232",
+      },
     };
 
     this.customMappings = [];
@@ -84,6 +537,58 @@ module.exports = class VimMotionsPlugin {
       DraftStore: BdApi.Webpack.getModule(
         (m) => m.getDraft && m.getRecentlyEditedDrafts
       ),
+      ChatMessageStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getMessage", "getMessages")
+      ),
+      ChannelStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getChannel", "getDMFromUserId")
+      ),
+      UserStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getCurrentUser", "getUser")
+      ),
+      UploadActions: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("uploadFiles")
+      ),
+      PendingReplyStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getPendingReply")
+      ),
+      ReplyUtils: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getSendMessageOptionsForReply")
+      ),
+      CloudUpload: BdApi.Webpack.getModule(
+        (m) => m?.prototype?.uploadFileToCloud,
+        { searchExports: true }
+      ),
+      GuildMemberStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getMember", "getMembers")
+      ),
+      GuildStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getGuild", "getGuilds")
+      ),
+      PermissionStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("can", "computePermissions")
+      ),
+      GuildRoleStore: BdApi.Webpack.getModule(
+        (m) => m.getRole && (m.getRolesSnapshot || m.getSortedRoles)
+      ),
+      EmojiStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getGuildEmoji", "getGuilds")
+      ),
+      UnicodeEmojis: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getByName", "convertNameToSurrogate")
+      ),
+      ApplicationCommandIndexStore: BdApi.Webpack.getModule(
+        BdApi.Webpack.Filters.byKeys("getContextState", "getUserState")
+      ),
+      BuiltInCommands: BdApi.Webpack.getModule(
+        (m) => Array.isArray(m) && m.some((c) => c?.name === "shrug"),
+        { searchExports: true }
+      ),
+      executeCommand: BdApi.Webpack.getByStrings(
+        "optionValues",
+        "commandTargetId",
+        { searchExports: true }
+      ),
     };
   }
 
@@ -99,10 +604,17 @@ module.exports = class VimMotionsPlugin {
       return;
     }
 
+    this.defineDiscordMarkdownMode();
+    this.defineDiscordTheme();
+    this.setupThemeObserver();
+    this.setupRegisters();
     this.setupChannelChangeListener();
     this.setupDraftChangeListener();
     this.addStyles();
     this.patchChatButtons();
+    this.storeChangeListener = () => this.findAndAttachToInputs(true);
+    VimStore.addChangeListener(this.storeChangeListener);
+    this.setupToggleHotkey();
     this.startObserving();
     this.log("VimMotions Started");
   }
@@ -110,6 +622,36 @@ module.exports = class VimMotionsPlugin {
   stop() {
     this.log("Stopping VimMotions...");
 
+    this.exitMessageMode(false);
+
+    if (this.restoreRegisters) {
+      clearTimeout(this.registerSaveTimer);
+      this.saveRegisters();
+      this.restoreRegisters();
+      this.restoreRegisters = null;
+    }
+
+    // Mappings live in the shared Vim keymap and would outlive the plugin
+    if (this.appliedVimMappings.length > 0 && window.ace) {
+      try {
+        window.ace.config.loadModule("ace/keyboard/vim", (vimModule) =>
+          this.removeVimMappings(vimModule.Vim)
+        );
+      } catch (e) {
+        this.log(`Failed to remove Vim mappings: ${e.message}`, "warn");
+      }
+    }
+
+    if (this.storeChangeListener) {
+      VimStore.removeChangeListener(this.storeChangeListener);
+      this.storeChangeListener = null;
+    }
+
+    if (this.hotkeyListener) {
+      document.removeEventListener("keydown", this.hotkeyListener, true);
+      this.hotkeyListener = null;
+    }
+
     // Unpatch chat buttons
     if (this.chatButtonPatchUnpatch) {
       try {
@@ -169,13 +711,21 @@ module.exports = class VimMotionsPlugin {
     this.aceEditors.clear();
     this.activeInputs.clear();
 
-    // Disconnect mutation observer
+    // Disconnect mutation observers
     if (this.observer) {
       try {
         this.observer.disconnect();
       } catch (e) {}
       this.observer = null;
     }
+    if (this.themeObserver) {
+      this.themeObserver.disconnect();
+      this.themeObserver = null;
+    }
+
+    // Loaded modes belong to the Ace instance removed below
+    this.fenceModes = {};
+    this.loadingFenceModes.clear();
 
     // Unpatch Discord modules
     try {
@@ -201,38 +751,496 @@ module.exports = class VimMotionsPlugin {
       return;
     }
 
-    try {
-      await this.loadScript(
-        "https://cdn.jsdelivr.net/npm/ace-builds@1.43.3/src-min-noconflict/ace.js"
-      );
+    // Prefer the copy embedded by the bundled build, then the verified CDN
+    const attempts = [];
+    if (EMBEDDED_ACE) attempts.push(true);
+    if (this.config.allowCdnFallback) attempts.push(false);
 
-      if (window.ace) {
-        window.ace.config.set(
-          "basePath",
-          "https://cdn.jsdelivr.net/npm/ace-builds@1.43.3/src-min-noconflict/"
-        );
+    if (attempts.length === 0) {
+      this.log("Ace Editor is not bundled and CDN loading is disabled", "error");
+    }
 
-        await this.loadScript(
-          "https://cdn.jsdelivr.net/npm/ace-builds@1.43.3/src-min-noconflict/keybinding-vim.js"
-        );
+    for (const useBundled of attempts) {
+      try {
+        await this.loadAceFile("ace/ace", useBundled);
+        if (!window.ace) throw new Error("Ace did not register itself");
+        await this.loadAceFile("ace/keyboard/vim", useBundled);
 
+        this.registerAceModuleLoaders();
         this.aceLoaded = true;
-        this.log("Ace Editor loaded successfully");
+        this.aceSource = useBundled ? "bundled" : "cdn";
+        this.log(`Ace Editor ${ACE_VERSION} loaded (${this.aceSource})`);
+        return;
+      } catch (e) {
+        this.log(`Failed to load Ace Editor: ${e.message}`, "error");
+        delete window.ace;
+      }
+    }
+
+    this.aceLoaded = false;
+  }
+
+  // Serve lazily loaded Ace modules (themes, modes) through loadAceFile so
+  // they are never pulled in unverified by Ace's own script loader
+  registerAceModuleLoaders() {
+    Object.keys(ACE_FILES).forEach((moduleId) => {
+      if (moduleId === "ace/ace" || moduleId === "ace/keyboard/vim") return;
+
+      // Ace never handles a rejected loader, so a failed theme or mode
+      // falls back to one that is always defined instead of throwing
+      const fallback = moduleId.startsWith("ace/theme/")
+        ? "ace/theme/discord"
+        : moduleId.startsWith("ace/mode/")
+        ? "ace/mode/text"
+        : null;
+
+      window.ace.config.setModuleLoader(moduleId, async () => {
+        try {
+          await this.loadAceFile(moduleId);
+          return window.ace.require(moduleId);
+        } catch (e) {
+          this.log(`Failed to load Ace module ${moduleId}: ${e.message}`, "error");
+          return fallback ? window.ace.require(fallback) : {};
+        }
+      });
+    });
+  }
+
+  async loadAceFile(moduleId, useBundled = true) {
+    const { file } = ACE_FILES[moduleId];
+
+    if (useBundled && EMBEDDED_ACE?.[file]) {
+      this.runAceSource(EMBEDDED_ACE[file]);
+      return;
+    }
+
+    if (!this.config.allowCdnFallback) {
+      throw new Error(`Ace module ${moduleId} is not bundled`);
+    }
+
+    this.runAceSource(await this.fetchVerifiedAceFile(moduleId));
+  }
+
+  // Load an Ace file from the cache or the CDN, checking it against its
+  // pinned SHA-384 hash before it is allowed to run
+  async fetchVerifiedAceFile(moduleId) {
+    const { file, integrity } = ACE_FILES[moduleId];
+
+    const cached = BdApi.Data.load(ACE_CACHE_STORE, file);
+    if (cached?.integrity === integrity && typeof cached.source === "string") {
+      const bytes = new TextEncoder().encode(cached.source);
+      if ((await this.computeIntegrity(bytes)) === integrity) {
+        this.log(`Loaded ${file} from cache`);
+        return cached.source;
+      }
+      this.log(`Cached ${file} failed verification, refetching`, "warn");
+      BdApi.Data.delete(ACE_CACHE_STORE, file);
+    }
+
+    const response = await fetch(ACE_CDN_URL + file);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${file}: HTTP ${response.status}`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const actual = await this.computeIntegrity(bytes);
+    if (actual !== integrity) {
+      throw new Error(
+        `Integrity check failed for ${file} (expected ${integrity}, got ${actual})`
+      );
+    }
+
+    const source = new TextDecoder("utf-8", { ignoreBOM: true }).decode(bytes);
+    BdApi.Data.save(ACE_CACHE_STORE, file, {
+      version: ACE_VERSION,
+      integrity,
+      source,
+    });
+    this.log(`Fetched and cached ${file} from CDN`);
+    return source;
+  }
+
+  async computeIntegrity(bytes) {
+    const digest = await crypto.subtle.digest("SHA-384", bytes);
+    let binary = "";
+    new Uint8Array(digest).forEach((b) => (binary += String.fromCharCode(b)));
+    return `sha384-${btoa(binary)}`;
+  }
+
+  getAceCacheState() {
+    const files = Object.values(ACE_FILES).map(({ file, integrity }) => {
+      const cached = BdApi.Data.load(ACE_CACHE_STORE, file);
+      const valid = cached?.integrity === integrity;
+      return { file, cached: valid, size: valid ? cached.source.length : 0 };
+    });
+    return {
+      files,
+      cachedCount: files.filter((f) => f.cached).length,
+      totalSize: files.reduce((sum, f) => sum + f.size, 0),
+    };
+  }
+
+  clearAceCache() {
+    Object.values(ACE_FILES).forEach(({ file }) =>
+      BdApi.Data.delete(ACE_CACHE_STORE, file)
+    );
+    this.log("Cleared Ace cache");
+  }
+
+  runAceSource(source) {
+    if (!source) throw new Error("Missing Ace source");
+    // Ace's noconflict builds register themselves on the global `ace` object
+    new Function(source).call(window);
+  }
+
+  // Ace mode for Discord's markdown dialect, token types are "dmd.*"
+  defineDiscordMarkdownMode() {
+    window.ace.define(
+      "ace/mode/discord_markdown",
+      [
+        "require",
+        "exports",
+        "module",
+        "ace/lib/oop",
+        "ace/mode/text",
+        "ace/mode/text_highlight_rules",
+      ],
+      (require, exports) => {
+        const oop = require("ace/lib/oop");
+        const TextMode = require("ace/mode/text").Mode;
+        const { TextHighlightRules } = require("ace/mode/text_highlight_rules");
+
+        const inlineRules = [
+          { token: "dmd.code", regex: /```.*?```|``[^`]+``|`[^`]+`/ },
+          { token: "dmd.spoiler", regex: /\|\|.+?\|\|/ },
+          {
+            token: "dmd.link",
+            regex: /\[[^\]]+\]\(<?https?:\/\/[^)\s>]+>?\)|<?https?:\/\/[^\s>]+>?/,
+          },
+          { token: "dmd.mention", regex: /<@[!&]?\d+>|<#\d+>|@everyone|@here/ },
+          { token: "dmd.timestamp", regex: /<t:-?\d+(?::[tTdDfFR])?>/ },
+          { token: "dmd.emoji", regex: /<a?:\w+:\d+>|:[\w+-]+:/ },
+          { token: "dmd.bold", regex: /\*\*(?=\S).+?\*\*/ },
+          { token: "dmd.underline", regex: /__(?=\S).+?__/ },
+          { token: "dmd.italic", regex: /\*(?=\S)[^*]+?\*|\b_(?=\S)[^_]+?_\b/ },
+          { token: "dmd.strike", regex: /~~(?=\S).+?~~/ },
+        ];
+
+        const escapeRegExp = (text) =>
+          text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        // Ace drops RegExp flags, so ```JS and ```Python match through
+        // [jJ][sS] style classes instead of /i
+        const anyCase = (text) =>
+          text.replace(/[a-z]/g, (c) => `[${c}${c.toUpperCase()}]`);
+
+        // `config.languages` maps Ace mode names to already loaded Mode
+        // classes, each fence with a matching tag is highlighted by it
+        function DiscordMarkdownHighlightRules(config = {}) {
+          const languages = config.languages || {};
+          const fenceRules = Object.keys(languages).map((name) => {
+            const tags = Object.keys(FENCE_LANGUAGES)
+              .filter((tag) => FENCE_LANGUAGES[tag] === name)
+              .map(escapeRegExp)
+              .map(anyCase);
+            return {
+              token: "dmd.fence",
+              regex: new RegExp(`^\\s*\`\`\`(?:${tags.join("|")})\\s*$`),
+              next: `${name}-start`,
+            };
+          });
+
+          this.$rules = {
+            start: [
+              ...fenceRules,
+              {
+                token: "dmd.fence",
+                regex: /^\s*```[\w+#.-]*\s*$/,
+                next: "codeblock",
+              },
+              { token: "dmd.quote", regex: /^>>>\s.*$/, next: "blockquote" },
+              { token: "dmd.quote", regex: /^>\s.*$/ },
+              { token: "dmd.heading", regex: /^#{1,3}\s.*$/ },
+              { token: "dmd.subtext", regex: /^-#\s.*$/ },
+              { token: "dmd.list", regex: /^\s*(?:[-*]|\d+\.)\s/ },
+              ...inlineRules,
+            ],
+            codeblock: [
+              { token: "dmd.fence", regex: /^\s*```\s*$/, next: "start" },
+              { defaultToken: "dmd.codeblock" },
+            ],
+            // ">>> " quotes everything up to the end of the message
+            blockquote: [{ defaultToken: "dmd.quote" }],
+          };
+          Object.entries(languages).forEach(([name, LanguageMode]) => {
+            this.embedRules(new LanguageMode().HighlightRules, `${name}-`, [
+              { token: "dmd.fence", regex: /^\s*```\s*$/, next: "start" },
+            ]);
+          });
+          this.normalizeRules();
+        }
+        oop.inherits(DiscordMarkdownHighlightRules, TextHighlightRules);
+
+        // Indentation and comments inside a fence are delegated to the
+        // fence's language mode by its state prefix
+        function Mode(languages = {}) {
+          this.HighlightRules = DiscordMarkdownHighlightRules;
+          this.$highlightRuleConfig = { languages };
+          this.createModeDelegates(
+            Object.fromEntries(
+              Object.entries(languages).map(([name, LanguageMode]) => [
+                `${name}-`,
+                LanguageMode,
+              ])
+            )
+          );
+        }
+        oop.inherits(Mode, TextMode);
+        Mode.prototype.$id = "ace/mode/discord_markdown";
+
+        exports.Mode = Mode;
+        exports.DiscordMarkdownHighlightRules = DiscordMarkdownHighlightRules;
+      }
+    );
+  }
+
+  // Ace theme built from Discord's CSS variables, so it follows whatever
+  // Discord theme is active
+  defineDiscordTheme() {
+    window.ace.define(
+      "ace/theme/discord",
+      ["require", "exports", "module"],
+      (require, exports) => {
+        // Read by Ace on every setTheme, see setupThemeObserver
+        Object.defineProperty(exports, "isDark", {
+          get: () => !this.isDiscordLight(),
+          enumerable: true,
+        });
+        exports.cssClass = "ace-discord";
+        exports.cssText = `
+          .ace-discord { background-color: var(--background-secondary, #2b2d31); color: var(--text-normal, #dbdee1); }
+          .ace-discord .ace_cursor { color: var(--interactive-active, #ffffff); }
+          .ace-discord .ace_gutter { background: var(--background-secondary, #2b2d31); color: var(--text-muted, #949ba4); }
+          .ace-discord .ace_gutter-active-line, .ace-discord .ace_marker-layer .ace_active-line { background: var(--background-modifier-hover, rgba(78, 80, 88, 0.3)); }
+          .ace-discord .ace_marker-layer .ace_selection { background: var(--background-modifier-selected, rgba(78, 80, 88, 0.6)); }
+          .ace-discord.ace_multiselect .ace_selection.ace_start { box-shadow: 0 0 3px 0 var(--background-secondary, #2b2d31); }
+          .ace-discord .ace_marker-layer .ace_selected-word { border: 1px solid var(--background-modifier-selected, rgba(78, 80, 88, 0.6)); }
+          .ace-discord .ace_marker-layer .ace_bracket { margin: -1px 0 0 -1px; border: 1px solid var(--text-muted, #949ba4); }
+          .ace-discord .ace_marker-layer .ace_step { background: var(--status-warning-background, #f0b232); }
+          .ace-discord .ace_search-highlight, .ace-discord .ace_highlight-marker { background: var(--background-mentioned, rgba(240, 178, 50, 0.2)); }
+          .ace-discord .ace_invisible, .ace-discord .ace_comment { color: var(--text-muted, #949ba4); }
+          .ace-discord .ace_comment { font-style: italic; }
+          .ace-discord .ace_keyword, .ace-discord .ace_storage, .ace-discord .ace_meta.ace_tag { color: var(--text-brand, #949cf7); }
+          .ace-discord .ace_string { color: var(--text-positive, #23a55a); }
+          .ace-discord .ace_constant, .ace-discord .ace_support.ace_constant { color: var(--text-warning, #f0b232); }
+          .ace-discord .ace_entity.ace_name.ace_function, .ace-discord .ace_support.ace_function { color: var(--text-link, #00a8fc); }
+          .ace-discord .ace_variable, .ace-discord .ace_entity.ace_other.ace_attribute-name { color: var(--header-primary, #f2f3f5); }
+          .ace-discord .ace_invalid { color: var(--text-danger, #f23f43); }
+          .ace-discord .ace_indent-guide { box-shadow: inset -1px 0 0 var(--background-modifier-accent, rgba(78, 80, 88, 0.48)); }
+        `;
+        exports.$id = "ace/theme/discord";
       }
+    );
+  }
+
+  // Discord marks its theme on <html> as theme-dark, theme-light, ...
+  isDiscordLight() {
+    return document.documentElement.classList.contains("theme-light");
+  }
+
+  // The light theme setting, if any, replaces the theme while Discord is light
+  getThemeName() {
+    const { theme, lightTheme } = this.config ?? {};
+    return (this.isDiscordLight() && lightTheme) || theme || "custom";
+  }
+
+  usesCustomColors() {
+    return this.getThemeName() === "custom";
+  }
+
+  getEditorTheme() {
+    const name = this.getThemeName();
+    return name === "custom" ? "ace/theme/dracula" : `ace/theme/${name}`;
+  }
+
+  // Restyle every editor when Discord switches between light and dark
+  setupThemeObserver() {
+    let wasLight = this.isDiscordLight();
+    this.themeObserver = new MutationObserver(() => {
+      const isLight = this.isDiscordLight();
+      if (isLight === wasLight) return;
+      wasLight = isLight;
+
+      this.log(`Discord switched to ${isLight ? "light" : "dark"} theme`);
+      this.addStyles();
+      this.aceEditors.forEach((editorData, originalInput) =>
+        this.applyEditorSettings(editorData.editor, originalInput)
+      );
+    });
+    this.themeObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ["class"],
+    });
+  }
+
+  // Registers
+
+  // Vim keeps one register controller for every editor, so registers are
+  // already shared. This adds the clipboard registers and persistence.
+  setupRegisters() {
+    try {
+      window.ace.config.loadModule("ace/keyboard/vim", (vimModule) => {
+        const Vim = vimModule.Vim;
+        const controller = Vim.getRegisterController();
+        const Register = controller.unnamedRegister.constructor;
+        const { macroModeState } = Vim.getVimGlobalState_();
+
+        const original = {
+          unnamed: controller.unnamedRegister,
+          plus: controller.registers["+"],
+          star: controller.registers["*"],
+          pushText: controller.pushText,
+          exitMacroRecordMode: macroModeState.exitMacroRecordMode,
+        };
+
+        this.registerController = controller;
+        this.loadRegisters();
+
+        // Like Vim, "ayy fills the unnamed register but not the clipboard
+        let namedRegisterWrite = false;
+        const unnamed = this.createClipboardRegister(
+          Register,
+          () =>
+            !namedRegisterWrite &&
+            ["unnamed", "unnamedplus"].includes(this.config.clipboard)
+        );
+        unnamed.keyBuffer = original.unnamed.keyBuffer;
+        unnamed.linewise = original.unnamed.linewise;
+        unnamed.blockwise = original.unnamed.blockwise;
+        controller.unnamedRegister = controller.registers['"'] = unnamed;
+
+        controller.registers["+"] = this.createClipboardRegister(Register);
+        if (original.star) {
+          controller.registers["*"] = this.createClipboardRegister(Register);
+        } else {
+          Vim.defineRegister("*", this.createClipboardRegister(Register));
+        }
+
+        controller.pushText = (registerName, ...args) => {
+          namedRegisterWrite = !!controller.isValidRegister(registerName);
+          try {
+            original.pushText.call(controller, registerName, ...args);
+          } finally {
+            namedRegisterWrite = false;
+          }
+          this.scheduleRegisterSave();
+        };
+        macroModeState.exitMacroRecordMode = (...args) => {
+          original.exitMacroRecordMode.apply(macroModeState, args);
+          this.scheduleRegisterSave();
+        };
+
+        this.restoreRegisters = () => {
+          original.unnamed.setText(
+            unnamed.keyBuffer.join(""),
+            unnamed.linewise,
+            unnamed.blockwise
+          );
+          controller.unnamedRegister = controller.registers['"'] =
+            original.unnamed;
+          controller.registers["+"] = original.plus;
+          if (original.star) controller.registers["*"] = original.star;
+          controller.pushText = original.pushText;
+          macroModeState.exitMacroRecordMode = original.exitMacroRecordMode;
+          this.registerController = null;
+        };
+        this.log("Registers set up");
+      });
+    } catch (e) {
+      this.log(`Failed to set up registers: ${e.message}`, "error");
+    }
+  }
+
+  // A register that reads and writes the system clipboard while isActive()
+  createClipboardRegister(Register, isActive = () => true) {
+    const register = new Register();
+    const base = Register.prototype;
+
+    register.setText = (text, linewise, blockwise) => {
+      base.setText.call(register, text, linewise, blockwise);
+      if (isActive()) this.writeClipboard(base.toString.call(register));
+    };
+    register.pushText = (text, linewise) => {
+      base.pushText.call(register, text, linewise);
+      if (isActive()) this.writeClipboard(base.toString.call(register));
+    };
+    register.toString = () => {
+      const text = isActive() ? this.readClipboard() : null;
+      // Copied outside of Vim, take the clipboard as it is
+      if (text !== null && text !== base.toString.call(register))
+        base.setText.call(register, text, text.endsWith("\n"));
+      return base.toString.call(register);
+    };
+
+    return register;
+  }
+
+  readClipboard() {
+    try {
+      return window.DiscordNative?.clipboard?.read?.() ?? null;
+    } catch (e) {
+      this.log(`Failed to read clipboard: ${e.message}`, "warn");
+      return null;
+    }
+  }
+
+  writeClipboard(text) {
+    try {
+      if (window.DiscordNative?.clipboard?.copy)
+        window.DiscordNative.clipboard.copy(text);
+      else navigator.clipboard?.writeText(text);
     } catch (e) {
-      this.log(`Failed to load Ace Editor: ${e.message}`, "error");
-      this.aceLoaded = false;
+      this.log(`Failed to write clipboard: ${e.message}`, "warn");
     }
   }
 
-  loadScript(src) {
-    return new Promise((resolve, reject) => {
-      const script = document.createElement("script");
-      script.src = src;
-      script.onload = resolve;
-      script.onerror = () => reject(new Error(`Failed to load script: ${src}`));
-      document.head.appendChild(script);
+  scheduleRegisterSave() {
+    if (!this.config.persistRegisters) return;
+    clearTimeout(this.registerSaveTimer);
+    this.registerSaveTimer = setTimeout(() => this.saveRegisters(), 500);
+  }
+
+  saveRegisters() {
+    if (!this.config.persistRegisters || !this.registerController) return;
+
+    const registers = {};
+    Object.entries(this.registerController.registers).forEach(
+      ([name, register]) => {
+        if (!/^[a-z0-9"-]$/.test(name) || !register?.keyBuffer) return;
+        if (!register.keyBuffer.join("")) return;
+        registers[name] = {
+          keys: [...register.keyBuffer],
+          linewise: register.linewise,
+          blockwise: register.blockwise,
+        };
+      }
+    );
+    BdApi.Data.save(this.meta.name, "registers", registers);
+  }
+
+  loadRegisters() {
+    if (!this.config.persistRegisters || !this.registerController) return;
+
+    const saved = BdApi.Data.load(this.meta.name, "registers");
+    if (!saved) return;
+
+    Object.entries(saved).forEach(([name, { keys, linewise, blockwise }]) => {
+      // Assigned directly so restoring doesn't touch the clipboard
+      const register = this.registerController.getRegister(name);
+      register.keyBuffer = [...keys];
+      register.linewise = !!linewise;
+      register.blockwise = !!blockwise;
     });
+    this.log(`Restored ${Object.keys(saved).length} registers`);
   }
 
   // Configuration
@@ -240,45 +1248,12 @@ module.exports = class VimMotionsPlugin {
   loadConfig() {
     const saved = BdApi.Data.load(this.meta.name, "config");
 
-    if (saved) {
-      this.config = {
-        fontSize:
-          saved.settings?.fontSize ??
-          saved.fontSize ??
-          this.defaultConfig.fontSize,
-        fontFamily:
-          saved.settings?.fontFamily ??
-          saved.fontFamily ??
-          this.defaultConfig.fontFamily,
-        fontColor:
-          saved.settings?.fontColor ??
-          saved.fontColor ??
-          this.defaultConfig.fontColor,
-        backgroundColor:
-          saved.settings?.backgroundColor ??
-          saved.backgroundColor ??
-          this.defaultConfig.backgroundColor,
-        cursorColor:
-          saved.settings?.cursorColor ??
-          saved.cursorColor ??
-          this.defaultConfig.cursorColor,
-        highlightActiveLine:
-          saved.settings?.highlightActiveLine ??
-          saved.highlightActiveLine ??
-          this.defaultConfig.highlightActiveLine,
-        sendInInsertMode:
-          saved.settings?.sendInInsertMode ??
-          saved.sendInInsertMode ??
-          this.defaultConfig.sendInInsertMode,
-        sendInNormalMode:
-          saved.settings?.sendInNormalMode ??
-          saved.sendInNormalMode ??
-          this.defaultConfig.sendInNormalMode,
-      };
-
-      this.customMappings =
-        saved.customMappings ?? saved.settings?.customMappings ?? [];
-    } else {
+    try {
+      const { config, customMappings } = this.parseConfig(saved ?? {});
+      this.config = config;
+      this.customMappings = customMappings;
+    } catch (e) {
+      this.log(`Invalid saved config, using defaults: ${e.message}`, "warn");
       this.config = this.defaultConfig;
       this.customMappings = [];
     }
@@ -287,18 +1262,150 @@ module.exports = class VimMotionsPlugin {
   }
 
   saveConfig() {
-    const dataToSave = {
-      fontSize: this.config.fontSize,
-      fontFamily: this.config.fontFamily,
-      fontColor: this.config.fontColor,
-      backgroundColor: this.config.backgroundColor,
-      cursorColor: this.config.cursorColor,
-      highlightActiveLine: this.config.highlightActiveLine,
-      sendInInsertMode: this.config.sendInInsertMode,
-      sendInNormalMode: this.config.sendInNormalMode,
+    BdApi.Data.save(this.meta.name, "config", this.getConfigData());
+  }
+
+  getConfigData() {
+    return {
+      version: CONFIG_VERSION,
+      ...this.config,
       customMappings: this.customMappings,
     };
-    BdApi.Data.save(this.meta.name, "config", dataToSave);
+  }
+
+  // Saved or imported data -> validated config and mappings
+  parseConfig(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Config must be a JSON object");
+    }
+    const migrated = this.migrateConfig(data);
+    return {
+      config: this.validateConfig(migrated),
+      customMappings: this.validateMappings(migrated.customMappings),
+    };
+  }
+
+  migrateConfig(data) {
+    // Unversioned data is either the nested 0 shape or the flat 1 shape
+    let version = data.version ?? (data.settings ? 0 : 1);
+    if (version > CONFIG_VERSION) {
+      throw new Error(`Config version ${version} is newer than this plugin`);
+    }
+
+    let migrated = { ...data };
+    while (version < CONFIG_VERSION) {
+      migrated = CONFIG_MIGRATIONS[version](migrated);
+      version++;
+    }
+    return migrated;
+  }
+
+  // Every known key of the right type, anything else falls back to default
+  validateConfig(data) {
+    const defaults = this.defaultConfig;
+    const config = {};
+    Object.entries(defaults).forEach(([key, fallback]) => {
+      config[key] = typeof data[key] === typeof fallback ? data[key] : fallback;
+    });
+
+    ["fontColor", "backgroundColor", "cursorColor"].forEach((key) => {
+      if (!HEX_COLOR_PATTERN.test(config[key])) config[key] = defaults[key];
+    });
+    config.syntaxColors = Object.fromEntries(
+      Object.entries(defaults.syntaxColors).map(([name, fallback]) => {
+        const color = data.syntaxColors?.[name];
+        return [name, HEX_COLOR_PATTERN.test(color) ? color : fallback];
+      })
+    );
+
+    const clamp = (key, min, max) => {
+      const value = Math.round(config[key]);
+      config[key] = Number.isFinite(value)
+        ? Math.min(max, Math.max(min, value))
+        : defaults[key];
+    };
+    clamp("fontSize", 5, 50);
+    clamp("tabSize", 1, 16);
+    clamp("sequenceTimeout", 0, 10000);
+    clamp("gutterMinLines", 0, 1000);
+
+    if (!VIMRC_OPTIONS.clipboard.values.includes(config.clipboard))
+      config.clipboard = defaults.clipboard;
+    if (!VIMRC_OPTIONS.signcolumn.values.includes(config.signColumn))
+      config.signColumn = defaults.signColumn;
+    config.surroundPairs = Array.isArray(data.surroundPairs)
+      ? data.surroundPairs.filter(
+          (pair) =>
+            typeof pair?.trigger === "string" &&
+            pair.trigger !== "" &&
+            typeof pair.open === "string" &&
+            typeof pair.close === "string"
+        )
+      : defaults.surroundPairs;
+    if (!EDITOR_THEMES[config.theme]) config.theme = defaults.theme;
+    if (config.lightTheme && !EDITOR_THEMES[config.lightTheme])
+      config.lightTheme = defaults.lightTheme;
+
+    return config;
+  }
+
+  validateMappings(mappings) {
+    if (!Array.isArray(mappings)) return [];
+    const modes = Object.values(VIMRC_MODE_PREFIXES).flat();
+    return mappings.filter(
+      (mapping) =>
+        typeof mapping?.from === "string" &&
+        mapping.from !== "" &&
+        typeof mapping.to === "string" &&
+        modes.includes(mapping.mode)
+    );
+  }
+
+  // Apply a whole new config, e.g. after an import
+  applyConfig(config, customMappings) {
+    this.config = this.validateConfig(config);
+    this.customMappings = this.validateMappings(customMappings);
+    this.saveConfig();
+
+    this.addStyles();
+    this.aceEditors.forEach((editorData, originalInput) => {
+      this.applyEditorSettings(editorData.editor, originalInput);
+      editorData.editor.resize(true);
+    });
+    this.reapplyMappings();
+  }
+
+  exportSettings() {
+    const json = JSON.stringify(this.getConfigData(), null, 2);
+    const url = URL.createObjectURL(
+      new Blob([json], { type: "application/json" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "VimMotions.config.json";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Throws on invalid JSON or a config from a newer plugin version
+  importSettings(json) {
+    const { config, customMappings } = this.parseConfig(JSON.parse(json));
+    this.applyConfig(config, customMappings);
+    this.log(`Imported settings with ${customMappings.length} mappings`);
+  }
+
+  // Resolves with the text of a file picked by the user, or null
+  pickTextFile(accept) {
+    return new Promise((resolve) => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = accept;
+      input.addEventListener("change", () =>
+        resolve(input.files[0]?.text() ?? null)
+      );
+      input.addEventListener("cancel", () => resolve(null));
+      input.click();
+    });
   }
 
   getSettingsPanel() {
@@ -314,28 +1421,49 @@ module.exports = class VimMotionsPlugin {
         const [newMappingKeys, setNewMappingKeys] = useState("");
         const [newMappingAction, setNewMappingAction] = useState("");
         const [newMappingTimeout, setNewMappingTimeout] = useState("normal");
+        const [newMappingNoremap, setNewMappingNoremap] = useState(false);
+        const [newMappingSequenceTimeout, setNewMappingSequenceTimeout] =
+          useState("");
+        const [aceCache, setAceCache] = useState(this.getAceCacheState());
+        const [vimrcText, setVimrcText] = useState("");
+        const [vimrcErrors, setVimrcErrors] = useState([]);
+        const rules = useStateFromStores([VimStore], () => VimStore.getRules());
+        const [newRuleScope, setNewRuleScope] = useState("guild");
+        const [newRuleId, setNewRuleId] = useState("");
+        const [newRuleEnabled, setNewRuleEnabled] = useState(false);
+        const ruleNeedsId =
+          newRuleScope === "guild" || newRuleScope === "channel";
+        const [newSurroundTrigger, setNewSurroundTrigger] = useState("");
+        const [newSurroundOpen, setNewSurroundOpen] = useState("");
+        const [newSurroundClose, setNewSurroundClose] = useState("");
 
         const updateConfig = (key, value) => {
-          const newConfig = {
-            fontSize: key === "fontSize" ? value : config.fontSize,
-            fontFamily: key === "fontFamily" ? value : config.fontFamily,
-            fontColor: key === "fontColor" ? value : config.fontColor,
-            backgroundColor:
-              key === "backgroundColor" ? value : config.backgroundColor,
-            cursorColor: key === "cursorColor" ? value : config.cursorColor,
-            highlightActiveLine:
-              key === "highlightActiveLine"
-                ? value
-                : config.highlightActiveLine,
-            sendInInsertMode:
-              key === "sendInInsertMode" ? value : config.sendInInsertMode,
-            sendInNormalMode:
-              key === "sendInNormalMode" ? value : config.sendInNormalMode,
-          };
+          // The inputs keep what is typed, the applied and saved config is
+          // clamped like a loaded one so typed values can't break it
+          const newConfig = { ...config, [key]: value };
           setConfig(newConfig);
-          this.config = newConfig;
+          this.config = this.validateConfig(newConfig);
           this.saveConfig();
 
+          if (
+            [
+              "mapLeader",
+              "mapLocalLeader",
+              "sequenceTimeout",
+              "messageModeKey",
+              "editLastMessageKey",
+              "cancelReplyKey",
+              "multiCursorKey",
+            ].includes(key)
+          ) {
+            this.reapplyMappings();
+          }
+
+          if (key === "persistRegisters") {
+            if (value) this.saveRegisters();
+            else BdApi.Data.delete(this.meta.name, "registers");
+          }
+
           if (
             [
               "fontSize",
@@ -343,12 +1471,28 @@ module.exports = class VimMotionsPlugin {
               "fontColor",
               "backgroundColor",
               "cursorColor",
+              "syntaxHighlighting",
+              "syntaxColors",
               "highlightActiveLine",
+              "number",
+              "relativeNumber",
+              "signColumn",
+              "gutterMinLines",
+              "showStatusLine",
+              "theme",
+              "lightTheme",
             ].includes(key)
           ) {
             this.addStyles();
             this.aceEditors.forEach((editorData, originalInput) => {
               this.applyEditorSettings(editorData.editor, originalInput);
+              if (editorData.vimMode && editorData.statusLine) {
+                this.updateStatusLine(
+                  editorData.editor,
+                  editorData.vimMode,
+                  editorData.statusLine
+                );
+              }
               editorData.editor.resize(true);
               if (key === "fontSize") {
                 editorData.editor.renderer.updateFull(true);
@@ -430,9 +1574,48 @@ module.exports = class VimMotionsPlugin {
           React.createElement(
             SettingItem,
             {
-              name: "Font Color",
-              note: "Color of the text in the editor",
-              inline: true,
+              name: "Theme",
+              note: 'Ace theme of the editor. "Custom Colors" uses the colors below, "Adapt to Discord" follows Discord\'s own theme.',
+            },
+            React.createElement(
+              "select",
+              {
+                value: config.theme,
+                onChange: (e) => updateConfig("theme", e.target.value),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { width: "100%" },
+              },
+              Object.entries(EDITOR_THEMES).map(([value, label]) =>
+                React.createElement("option", { key: value, value }, label)
+              )
+            )
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Light Mode Theme",
+              note: "Theme used instead while Discord is in light mode",
+            },
+            React.createElement(
+              "select",
+              {
+                value: config.lightTheme,
+                onChange: (e) => updateConfig("lightTheme", e.target.value),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { width: "100%" },
+              },
+              React.createElement("option", { value: "" }, "Same as Theme"),
+              Object.entries(EDITOR_THEMES).map(([value, label]) =>
+                React.createElement("option", { key: value, value }, label)
+              )
+            )
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Font Color",
+              note: "Color of the text in the editor (Custom Colors theme)",
+              inline: true,
             },
             React.createElement("input", {
               type: "color",
@@ -451,7 +1634,7 @@ module.exports = class VimMotionsPlugin {
             SettingItem,
             {
               name: "Background Color",
-              note: "Background color of the editor",
+              note: "Background color of the editor (Custom Colors theme)",
               inline: true,
             },
             React.createElement("input", {
@@ -487,6 +1670,62 @@ module.exports = class VimMotionsPlugin {
               },
             })
           ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Discord Markdown Highlighting",
+              note: "Color bold, italics, spoilers, code, quotes, headings, links, mentions and emoji in the editor",
+              inline: true,
+            },
+            React.createElement(SwitchInput, {
+              value: config.syntaxHighlighting,
+              onChange: (v) => updateConfig("syntaxHighlighting", v),
+            })
+          ),
+          config.syntaxHighlighting &&
+            React.createElement(
+              "div",
+              {
+                style: {
+                  display: "grid",
+                  gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))",
+                  gap: "10px",
+                  marginBottom: "20px",
+                },
+              },
+              Object.entries(SYNTAX_COLOR_NAMES).map(([name, label]) =>
+                React.createElement(
+                  "label",
+                  {
+                    key: name,
+                    style: {
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "8px",
+                      color: "var(--text-normal)",
+                      fontSize: "14px",
+                    },
+                  },
+                  React.createElement("input", {
+                    type: "color",
+                    value: config.syntaxColors[name],
+                    onChange: (e) =>
+                      updateConfig("syntaxColors", {
+                        ...config.syntaxColors,
+                        [name]: e.target.value,
+                      }),
+                    style: {
+                      width: "40px",
+                      height: "24px",
+                      border: "none",
+                      borderRadius: "3px",
+                      cursor: "pointer",
+                    },
+                  }),
+                  label
+                )
+              )
+            ),
           React.createElement(
             SettingItem,
             {
@@ -499,6 +1738,259 @@ module.exports = class VimMotionsPlugin {
               onChange: (v) => updateConfig("highlightActiveLine", v),
             })
           ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Line Numbers",
+              note: "Show line numbers in the gutter, like Vim's number",
+              inline: true,
+            },
+            React.createElement(SwitchInput, {
+              value: config.number,
+              onChange: (v) => updateConfig("number", v),
+            })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Relative Line Numbers",
+              note: "Number lines relative to the cursor, like Vim's relativenumber. With Line Numbers on, the cursor line shows its absolute number.",
+              inline: true,
+            },
+            React.createElement(SwitchInput, {
+              value: config.relativeNumber,
+              onChange: (v) => updateConfig("relativeNumber", v),
+            })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Gutter",
+              note: "When to show the gutter, like Vim's signcolumn",
+            },
+            React.createElement(
+              "select",
+              {
+                value: config.signColumn,
+                onChange: (e) => updateConfig("signColumn", e.target.value),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { width: "100%" },
+              },
+              React.createElement(
+                "option",
+                { value: "auto" },
+                "auto (when line numbers are on and the message is long)"
+              ),
+              React.createElement("option", { value: "yes" }, "yes (always)"),
+              React.createElement("option", { value: "no" }, "no (never)")
+            )
+          ),
+          config.signColumn === "auto" &&
+            React.createElement(
+              SettingItem,
+              {
+                name: "Gutter Minimum Lines",
+                note: "The gutter appears once the message has more lines than this",
+              },
+              TextInput
+                ? React.createElement(TextInput, {
+                    type: "number",
+                    value: config.gutterMinLines,
+                    placeholder: "5",
+                    onChange: (value) =>
+                      updateConfig("gutterMinLines", parseInt(value) || 0),
+                  })
+                : React.createElement("input", {
+                    type: "number",
+                    value: config.gutterMinLines,
+                    placeholder: "5",
+                    min: "0",
+                    onChange: (e) =>
+                      updateConfig(
+                        "gutterMinLines",
+                        parseInt(e.target.value) || 0
+                      ),
+                    className: "inputDefault-3FGxgL input-2g-os5",
+                    style: { width: "100%" },
+                  })
+            ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Show Status Line",
+              note: "Show the Vim mode, pending keys, register, macro recording and cursor position under the editor",
+              inline: true,
+            },
+            React.createElement(SwitchInput, {
+              value: config.showStatusLine,
+              onChange: (v) => updateConfig("showStatusLine", v),
+            })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Clipboard",
+              note: 'Sync the unnamed register with the system clipboard, like Vim\'s clipboard=unnamedplus. "+ and "* always use the clipboard.',
+            },
+            React.createElement(
+              "select",
+              {
+                value: config.clipboard,
+                onChange: (e) => updateConfig("clipboard", e.target.value),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { width: "100%" },
+              },
+              React.createElement(
+                "option",
+                { value: "" },
+                "Separate from system clipboard"
+              ),
+              React.createElement(
+                "option",
+                { value: "unnamedplus" },
+                "unnamedplus (yank, delete and put use the clipboard)"
+              ),
+              React.createElement(
+                "option",
+                { value: "unnamed" },
+                "unnamed (same as unnamedplus)"
+              )
+            )
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Persist Registers",
+              note: "Keep the unnamed, numbered and named registers (including recorded macros) across Discord restarts",
+              inline: true,
+            },
+            React.createElement(SwitchInput, {
+              value: config.persistRegisters,
+              onChange: (v) => updateConfig("persistRegisters", v),
+            })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Message List Mode Key",
+              note: "Normal mode key that moves the cursor to the message list: j/k/gg/G select, r reply, e edit, y yank, + react, dd delete, Esc back to the editor",
+            },
+            TextInput
+              ? React.createElement(TextInput, {
+                  value: config.messageModeKey,
+                  placeholder: "<C-k>",
+                  onChange: (value) => updateConfig("messageModeKey", value),
+                })
+              : React.createElement("input", {
+                  type: "text",
+                  value: config.messageModeKey,
+                  placeholder: "<C-k>",
+                  onChange: (e) =>
+                    updateConfig("messageModeKey", e.target.value),
+                  className: "inputDefault-3FGxgL input-2g-os5",
+                  style: { width: "100%" },
+                })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Edit Last Message Key",
+              note: "Normal mode key that edits your last message in the channel (supports <leader>, leave empty to disable)",
+            },
+            TextInput
+              ? React.createElement(TextInput, {
+                  value: config.editLastMessageKey,
+                  placeholder: "<leader>e",
+                  onChange: (value) =>
+                    updateConfig("editLastMessageKey", value),
+                })
+              : React.createElement("input", {
+                  type: "text",
+                  value: config.editLastMessageKey,
+                  placeholder: "<leader>e",
+                  onChange: (e) =>
+                    updateConfig("editLastMessageKey", e.target.value),
+                  className: "inputDefault-3FGxgL input-2g-os5",
+                  style: { width: "100%" },
+                })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Edit Last Message with Up",
+              note: "Like Discord: pressing Up in insert mode on an empty message edits your last message",
+              inline: true,
+            },
+            React.createElement(SwitchInput, {
+              value: config.editLastMessageOnUp,
+              onChange: (v) => updateConfig("editLastMessageOnUp", v),
+            })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Cancel Reply Key",
+              note: "Normal mode key that cancels the reply you are writing (supports <leader>, leave empty to disable)",
+            },
+            TextInput
+              ? React.createElement(TextInput, {
+                  value: config.cancelReplyKey,
+                  placeholder: "<leader>c",
+                  onChange: (value) => updateConfig("cancelReplyKey", value),
+                })
+              : React.createElement("input", {
+                  type: "text",
+                  value: config.cancelReplyKey,
+                  placeholder: "<leader>c",
+                  onChange: (e) =>
+                    updateConfig("cancelReplyKey", e.target.value),
+                  className: "inputDefault-3FGxgL input-2g-os5",
+                  style: { width: "100%" },
+                })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Multi-Cursor Key",
+              note: "Like vim-visual-multi: selects the word under the cursor, then adds its next occurrence as another cursor. <C-Down> and <C-Up> add a cursor below or above. Leave empty to disable.",
+            },
+            TextInput
+              ? React.createElement(TextInput, {
+                  value: config.multiCursorKey,
+                  placeholder: "<C-n>",
+                  onChange: (value) => updateConfig("multiCursorKey", value),
+                })
+              : React.createElement("input", {
+                  type: "text",
+                  value: config.multiCursorKey,
+                  placeholder: "<C-n>",
+                  onChange: (e) =>
+                    updateConfig("multiCursorKey", e.target.value),
+                  className: "inputDefault-3FGxgL input-2g-os5",
+                  style: { width: "100%" },
+                })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Toggle Hotkey",
+              note: "Shortcut that turns Vim on or off like a click on the VIM button, e.g. Ctrl+Alt+V (leave empty to disable). :VimOn, :VimOff and :VimToggle do the same",
+            },
+            TextInput
+              ? React.createElement(TextInput, {
+                  value: config.toggleHotkey,
+                  placeholder: "Ctrl+Alt+V",
+                  onChange: (value) => updateConfig("toggleHotkey", value),
+                })
+              : React.createElement("input", {
+                  type: "text",
+                  value: config.toggleHotkey,
+                  placeholder: "Ctrl+Alt+V",
+                  onChange: (e) => updateConfig("toggleHotkey", e.target.value),
+                  className: "inputDefault-3FGxgL input-2g-os5",
+                  style: { width: "100%" },
+                })
+          ),
           React.createElement(
             SettingItem,
             {
@@ -523,6 +2015,58 @@ module.exports = class VimMotionsPlugin {
               onChange: (v) => updateConfig("sendInNormalMode", v),
             })
           ),
+          React.createElement(
+            SettingItem,
+            {
+              name: "Load Ace from CDN",
+              note: EMBEDDED_ACE
+                ? `Ace ${ACE_VERSION} is bundled into this build; only fall back to cdn.jsdelivr.net if the bundled copy fails (applies after restart)`
+                : `This build does not bundle Ace ${ACE_VERSION}; it has to be loaded from cdn.jsdelivr.net (applies after restart)`,
+              inline: true,
+            },
+            React.createElement(SwitchInput, {
+              value: config.allowCdnFallback,
+              onChange: (v) => updateConfig("allowCdnFallback", v),
+            })
+          ),
+          React.createElement(
+            SettingItem,
+            {
+              name: `Ace Editor ${ACE_VERSION}`,
+              note: `Loaded from: ${
+                this.aceSource === "bundled"
+                  ? "bundled copy"
+                  : this.aceSource === "cdn"
+                  ? "CDN (SHA-384 verified)"
+                  : "not loaded"
+              } · Cache: ${aceCache.cachedCount}/${
+                aceCache.files.length
+              } files (${(aceCache.totalSize / 1024).toFixed(1)} KB)`,
+              inline: true,
+            },
+            React.createElement(
+              "button",
+              {
+                onClick: () => {
+                  this.clearAceCache();
+                  setAceCache(this.getAceCacheState());
+                  BdApi.UI.showToast("Ace cache cleared", { type: "success" });
+                },
+                disabled: aceCache.cachedCount === 0,
+                style: {
+                  padding: "5px 10px",
+                  backgroundColor: "#ed4245",
+                  color: "white",
+                  border: "none",
+                  borderRadius: "3px",
+                  cursor: "pointer",
+                  fontSize: "12px",
+                  opacity: aceCache.cachedCount === 0 ? 0.5 : 1,
+                },
+              },
+              "Clear Cache"
+            )
+          ),
 
           // Custom mappings UI unchanged...
           React.createElement(
@@ -555,7 +2099,78 @@ module.exports = class VimMotionsPlugin {
                   marginBottom: "15px",
                 },
               },
-              "Define custom Vim key mappings (e.g., map 'j' to 'gj' in normal mode)"
+              "Define custom Vim key mappings (e.g., map 'j' to 'gj' in normal mode). Use <leader> and <localleader> in keys to refer to the keys below."
+            ),
+            React.createElement(
+              SettingItem,
+              {
+                name: "Leader Key",
+                note: "Key that <leader> expands to (e.g., \\, <Space> or ,)",
+              },
+              TextInput
+                ? React.createElement(TextInput, {
+                    value: config.mapLeader,
+                    placeholder: "\\",
+                    onChange: (value) => updateConfig("mapLeader", value),
+                  })
+                : React.createElement("input", {
+                    type: "text",
+                    value: config.mapLeader,
+                    placeholder: "\\",
+                    onChange: (e) => updateConfig("mapLeader", e.target.value),
+                    className: "inputDefault-3FGxgL input-2g-os5",
+                    style: { width: "100%" },
+                  })
+            ),
+            React.createElement(
+              SettingItem,
+              {
+                name: "Local Leader Key",
+                note: "Key that <localleader> expands to",
+              },
+              TextInput
+                ? React.createElement(TextInput, {
+                    value: config.mapLocalLeader,
+                    placeholder: "\\",
+                    onChange: (value) => updateConfig("mapLocalLeader", value),
+                  })
+                : React.createElement("input", {
+                    type: "text",
+                    value: config.mapLocalLeader,
+                    placeholder: "\\",
+                    onChange: (e) =>
+                      updateConfig("mapLocalLeader", e.target.value),
+                    className: "inputDefault-3FGxgL input-2g-os5",
+                    style: { width: "100%" },
+                  })
+            ),
+            React.createElement(
+              SettingItem,
+              {
+                name: "Key Sequence Timeout",
+                note: "Milliseconds to wait for the next key of an insert mode sequence like jk (default for mappings without their own timeout). Normal and visual mode mappings are Vim mappings and wait for the next key without a timeout",
+              },
+              TextInput
+                ? React.createElement(TextInput, {
+                    type: "number",
+                    value: config.sequenceTimeout,
+                    placeholder: "1000",
+                    onChange: (value) =>
+                      updateConfig("sequenceTimeout", parseInt(value) || 1000),
+                  })
+                : React.createElement("input", {
+                    type: "number",
+                    value: config.sequenceTimeout,
+                    placeholder: "1000",
+                    min: "50",
+                    onChange: (e) =>
+                      updateConfig(
+                        "sequenceTimeout",
+                        parseInt(e.target.value) || 1000
+                      ),
+                    className: "inputDefault-3FGxgL input-2g-os5",
+                    style: { width: "100%" },
+                  })
             ),
             customMappings.length > 0 &&
               React.createElement(
@@ -597,7 +2212,13 @@ module.exports = class VimMotionsPlugin {
                             fontSize: "12px",
                           },
                         },
-                        `Mode: ${mapping.mode}`
+                        `Mode: ${mapping.mode} · ${
+                          mapping.noremap ? "non-recursive" : "recursive"
+                        }${
+                          mapping.timeout
+                            ? ` · ${mapping.timeout} ms timeout`
+                            : ""
+                        }`
                       )
                     ),
                     React.createElement(
@@ -610,9 +2231,7 @@ module.exports = class VimMotionsPlugin {
                           setCustomMappings(newMappings);
                           this.customMappings = newMappings;
                           this.saveConfig();
-                          this.aceEditors.forEach(({ editor }) =>
-                            this.applyVimMappings(editor)
-                          );
+                          this.reapplyMappings();
                           BdApi.UI.showToast("Key mapping removed", {
                             type: "success",
                           });
@@ -747,36 +2366,116 @@ module.exports = class VimMotionsPlugin {
                       { value: "insert" },
                       "insert"
                     ),
-                    React.createElement("option", { value: "visual" }, "visual")
+                    React.createElement(
+                      "option",
+                      { value: "visual" },
+                      "visual"
+                    ),
+                    React.createElement(
+                      "option",
+                      { value: "operatorPending" },
+                      "operator-pending"
+                    ),
+                    React.createElement(
+                      "option",
+                      { value: "commandLine" },
+                      "command-line"
+                    )
                   )
-                )
-              ),
-              React.createElement(
-                "button",
-                {
-                  onClick: () => {
-                    if (!newMappingKeys.trim() || !newMappingAction.trim()) {
-                      BdApi.UI.showToast(
-                        "Please enter both 'from' and 'to' keys",
-                        { type: "error" }
-                      );
-                      return;
-                    }
-                    const newMapping = {
-                      from: newMappingKeys.trim(),
-                      to: newMappingAction.trim(),
-                      mode: newMappingTimeout,
-                    };
-                    const newMappings = [...customMappings, newMapping];
-                    setCustomMappings(newMappings);
+                ),
+                React.createElement(
+                  "div",
+                  { style: { flex: "1 1 100px" } },
+                  React.createElement(
+                    "label",
+                    {
+                      style: {
+                        display: "block",
+                        color: "var(--text-muted)",
+                        fontSize: "12px",
+                        marginBottom: "5px",
+                      },
+                    },
+                    "Type"
+                  ),
+                  React.createElement(
+                    "select",
+                    {
+                      value: newMappingNoremap ? "noremap" : "map",
+                      onChange: (e) =>
+                        setNewMappingNoremap(e.target.value === "noremap"),
+                      className: "inputDefault-3FGxgL input-2g-os5",
+                      style: { width: "100%" },
+                    },
+                    React.createElement(
+                      "option",
+                      { value: "map" },
+                      "recursive (map)"
+                    ),
+                    React.createElement(
+                      "option",
+                      { value: "noremap" },
+                      "non-recursive (noremap)"
+                    )
+                  )
+                ),
+                React.createElement(
+                  "div",
+                  { style: { flex: "1 1 100px" } },
+                  React.createElement(
+                    "label",
+                    {
+                      style: {
+                        display: "block",
+                        color: "var(--text-muted)",
+                        fontSize: "12px",
+                        marginBottom: "5px",
+                      },
+                    },
+                    "Timeout (ms, insert sequences)"
+                  ),
+                  React.createElement("input", {
+                    type: "number",
+                    value: newMappingSequenceTimeout,
+                    min: "50",
+                    placeholder: String(config.sequenceTimeout),
+                    onChange: (e) =>
+                      setNewMappingSequenceTimeout(e.target.value),
+                    className: "inputDefault-3FGxgL input-2g-os5",
+                    style: { width: "100%" },
+                  })
+                )
+              ),
+              React.createElement(
+                "button",
+                {
+                  onClick: () => {
+                    if (!newMappingKeys.trim() || !newMappingAction.trim()) {
+                      BdApi.UI.showToast(
+                        "Please enter both 'from' and 'to' keys",
+                        { type: "error" }
+                      );
+                      return;
+                    }
+                    const newMapping = {
+                      from: newMappingKeys.trim(),
+                      to: newMappingAction.trim(),
+                      mode: newMappingTimeout,
+                      noremap: newMappingNoremap,
+                    };
+                    const timeout = parseInt(newMappingSequenceTimeout);
+                    if (timeout > 0 && newMapping.mode === "insert")
+                      newMapping.timeout = timeout;
+                    const newMappings = [...customMappings, newMapping];
+                    setCustomMappings(newMappings);
                     this.customMappings = newMappings;
                     this.saveConfig();
-                    this.aceEditors.forEach(({ editor }) =>
-                      this.applyVimMappings(editor)
-                    );
+                    this.reapplyMappings();
                     setNewMappingKeys("");
                     setNewMappingAction("");
                     setNewMappingTimeout("normal");
+                    setNewMappingNoremap(false);
+                    setNewMappingSequenceTimeout("");
                     BdApi.UI.showToast("Vim mapping added", {
                       type: "success",
                     });
@@ -796,6 +2495,431 @@ module.exports = class VimMotionsPlugin {
               )
             )
           ),
+          React.createElement(
+            "div",
+            {
+              style: {
+                marginTop: "20px",
+                paddingTop: "20px",
+                borderTop: "1px solid var(--background-modifier-accent)",
+              },
+            },
+            React.createElement(
+              "h3",
+              {
+                style: {
+                  color: "var(--header-primary)",
+                  fontSize: "16px",
+                  fontWeight: "600",
+                  marginBottom: "10px",
+                },
+              },
+              "Enable Rules"
+            ),
+            React.createElement(
+              "div",
+              {
+                style: {
+                  color: "var(--text-muted)",
+                  fontSize: "14px",
+                  marginBottom: "15px",
+                },
+              },
+              "Enable or disable Vim per server, channel, DMs or group DMs. A channel rule beats a server or DM rule. Clicking the VIM button flips the rule that decides the current channel, or turns Vim off everywhere when no rule does. Right-click the VIM button to set rules for the current channel."
+            ),
+            rules.map((rule) =>
+              React.createElement(
+                "div",
+                {
+                  key: `${rule.scope}:${rule.id}`,
+                  style: {
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "10px",
+                    padding: "10px",
+                    backgroundColor: "var(--background-secondary)",
+                    borderRadius: "3px",
+                    marginBottom: "8px",
+                  },
+                },
+                React.createElement(
+                  "div",
+                  {
+                    style: {
+                      flex: 1,
+                      color: "var(--header-primary)",
+                      fontWeight: "500",
+                    },
+                  },
+                  this.getRuleLabel(rule)
+                ),
+                React.createElement(
+                  "select",
+                  {
+                    value: String(rule.enabled),
+                    onChange: (e) =>
+                      VimStore.setRule(
+                        rule.scope,
+                        rule.id,
+                        e.target.value === "true",
+                        rule.name
+                      ),
+                    className: "inputDefault-3FGxgL input-2g-os5",
+                  },
+                  React.createElement("option", { value: "true" }, "Enable"),
+                  React.createElement("option", { value: "false" }, "Disable")
+                ),
+                React.createElement(
+                  "button",
+                  {
+                    onClick: () => VimStore.setRule(rule.scope, rule.id, null),
+                    style: {
+                      padding: "5px 10px",
+                      backgroundColor: "#ed4245",
+                      color: "white",
+                      border: "none",
+                      borderRadius: "3px",
+                      cursor: "pointer",
+                      fontSize: "12px",
+                    },
+                  },
+                  "Delete"
+                )
+              )
+            ),
+            React.createElement(
+              "div",
+              { style: { display: "flex", gap: "10px" } },
+              React.createElement(
+                "select",
+                {
+                  value: newRuleScope,
+                  onChange: (e) => setNewRuleScope(e.target.value),
+                  className: "inputDefault-3FGxgL input-2g-os5",
+                },
+                Object.entries(RULE_SCOPES).map(([value, label]) =>
+                  React.createElement("option", { key: value, value }, label)
+                )
+              ),
+              React.createElement("input", {
+                type: "text",
+                value: newRuleId,
+                placeholder:
+                  newRuleScope === "guild" ? "Server ID" : "Channel ID",
+                disabled: !ruleNeedsId,
+                onChange: (e) => setNewRuleId(e.target.value.trim()),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { flex: 1, opacity: ruleNeedsId ? 1 : 0.5 },
+              }),
+              React.createElement(
+                "select",
+                {
+                  value: String(newRuleEnabled),
+                  onChange: (e) => setNewRuleEnabled(e.target.value === "true"),
+                  className: "inputDefault-3FGxgL input-2g-os5",
+                },
+                React.createElement("option", { value: "true" }, "Enable"),
+                React.createElement("option", { value: "false" }, "Disable")
+              ),
+              React.createElement(
+                "button",
+                {
+                  onClick: () => {
+                    const id = ruleNeedsId ? newRuleId : null;
+                    VimStore.setRule(
+                      newRuleScope,
+                      id,
+                      newRuleEnabled,
+                      this.getRuleTargetName(newRuleScope, id)
+                    );
+                    setNewRuleId("");
+                    BdApi.UI.showToast("Rule added", { type: "success" });
+                  },
+                  disabled: ruleNeedsId && !/^\d+$/.test(newRuleId),
+                  style: {
+                    padding: "8px 16px",
+                    backgroundColor: "#5865f2",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "3px",
+                    cursor: "pointer",
+                    fontSize: "14px",
+                    fontWeight: "500",
+                    opacity:
+                      ruleNeedsId && !/^\d+$/.test(newRuleId) ? 0.5 : 1,
+                  },
+                },
+                "Add Rule"
+              )
+            )
+          ),
+          React.createElement(
+            "div",
+            {
+              style: {
+                marginTop: "20px",
+                paddingTop: "20px",
+                borderTop: "1px solid var(--background-modifier-accent)",
+              },
+            },
+            React.createElement(
+              "h3",
+              {
+                style: {
+                  color: "var(--header-primary)",
+                  fontSize: "16px",
+                  fontWeight: "600",
+                  marginBottom: "10px",
+                },
+              },
+              "Surround Pairs"
+            ),
+            React.createElement(
+              "div",
+              {
+                style: {
+                  color: "var(--text-muted)",
+                  fontSize: "14px",
+                  marginBottom: "15px",
+                },
+              },
+              "ys{motion}{target}, cs{old}{new}, ds{target} and S in visual mode work like vim-surround. Built in targets: * ** *** _ __ ~~ || ` `` ``` quotes and brackets (b, B, r, a). Add your own targets here, a custom target replaces a built in one."
+            ),
+            config.surroundPairs.map((pair) =>
+              React.createElement(
+                "div",
+                {
+                  key: pair.trigger,
+                  style: {
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "10px",
+                    padding: "10px",
+                    backgroundColor: "var(--background-secondary)",
+                    borderRadius: "3px",
+                    marginBottom: "8px",
+                  },
+                },
+                React.createElement(
+                  "code",
+                  {
+                    style: {
+                      flex: 1,
+                      color: "var(--header-primary)",
+                      fontWeight: "500",
+                    },
+                  },
+                  `${pair.trigger} → ${pair.open}…${pair.close}`
+                ),
+                React.createElement(
+                  "button",
+                  {
+                    onClick: () =>
+                      updateConfig(
+                        "surroundPairs",
+                        config.surroundPairs.filter((p) => p !== pair)
+                      ),
+                    style: {
+                      padding: "5px 10px",
+                      backgroundColor: "#ed4245",
+                      color: "white",
+                      border: "none",
+                      borderRadius: "3px",
+                      cursor: "pointer",
+                      fontSize: "12px",
+                    },
+                  },
+                  "Delete"
+                )
+              )
+            ),
+            React.createElement(
+              "div",
+              { style: { display: "flex", gap: "10px" } },
+              React.createElement("input", {
+                type: "text",
+                value: newSurroundTrigger,
+                placeholder: "Target (e.g. h)",
+                onChange: (e) => setNewSurroundTrigger(e.target.value.trim()),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { width: "120px" },
+              }),
+              React.createElement("input", {
+                type: "text",
+                value: newSurroundOpen,
+                placeholder: "Open (e.g. # )",
+                onChange: (e) => setNewSurroundOpen(e.target.value),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { flex: 1 },
+              }),
+              React.createElement("input", {
+                type: "text",
+                value: newSurroundClose,
+                placeholder: "Close",
+                onChange: (e) => setNewSurroundClose(e.target.value),
+                className: "inputDefault-3FGxgL input-2g-os5",
+                style: { flex: 1 },
+              }),
+              React.createElement(
+                "button",
+                {
+                  onClick: () => {
+                    updateConfig("surroundPairs", [
+                      ...config.surroundPairs.filter(
+                        (p) => p.trigger !== newSurroundTrigger
+                      ),
+                      {
+                        trigger: newSurroundTrigger,
+                        open: newSurroundOpen,
+                        close: newSurroundClose,
+                      },
+                    ]);
+                    setNewSurroundTrigger("");
+                    setNewSurroundOpen("");
+                    setNewSurroundClose("");
+                  },
+                  disabled: !newSurroundTrigger || !newSurroundOpen,
+                  style: {
+                    padding: "8px 16px",
+                    backgroundColor: "#5865f2",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "3px",
+                    cursor: "pointer",
+                    fontSize: "14px",
+                    fontWeight: "500",
+                    opacity: !newSurroundTrigger || !newSurroundOpen ? 0.5 : 1,
+                  },
+                },
+                "Add Pair"
+              )
+            )
+          ),
+          React.createElement(
+            "div",
+            {
+              style: {
+                marginTop: "20px",
+                paddingTop: "20px",
+                borderTop: "1px solid var(--background-modifier-accent)",
+              },
+            },
+            React.createElement(
+              "h3",
+              {
+                style: {
+                  color: "var(--header-primary)",
+                  fontSize: "16px",
+                  fontWeight: "600",
+                  marginBottom: "10px",
+                },
+              },
+              "vimrc"
+            ),
+            React.createElement(
+              "div",
+              {
+                style: {
+                  color: "var(--text-muted)",
+                  fontSize: "14px",
+                  marginBottom: "15px",
+                },
+              },
+              "Paste map/nmap/vmap/omap/imap/cmap (and noremap variants), unmap, mapclear, let mapleader/maplocalleader and set tabstop/expandtab/wrap/cursorline/timeoutlen/clipboard lines. Lines are applied on top of the current configuration."
+            ),
+            React.createElement("textarea", {
+              value: vimrcText,
+              placeholder: 'let mapleader = ","\nnnoremap j gj\ninoremap jk <Esc>\nset tabstop=4',
+              spellCheck: false,
+              onChange: (e) => setVimrcText(e.target.value),
+              className: "inputDefault-3FGxgL input-2g-os5",
+              style: {
+                width: "100%",
+                minHeight: "140px",
+                resize: "vertical",
+                fontFamily: config.fontFamily,
+                boxSizing: "border-box",
+              },
+            }),
+            vimrcErrors.length > 0 &&
+              React.createElement(
+                "div",
+                {
+                  style: {
+                    marginTop: "10px",
+                    color: "var(--text-danger)",
+                    fontSize: "13px",
+                  },
+                },
+                vimrcErrors.map((error, index) =>
+                  React.createElement(
+                    "div",
+                    { key: index },
+                    `Line ${error.line}: ${error.message} (${error.text})`
+                  )
+                )
+              ),
+            React.createElement(
+              "div",
+              {
+                style: {
+                  display: "flex",
+                  gap: "10px",
+                  marginTop: "10px",
+                },
+              },
+              React.createElement(
+                "button",
+                {
+                  onClick: () => {
+                    const errors = this.importVimrc(vimrcText);
+                    setVimrcErrors(errors);
+                    setConfig(this.config);
+                    setCustomMappings(this.customMappings);
+                    BdApi.UI.showToast(
+                      errors.length > 0
+                        ? `vimrc imported with ${errors.length} error(s)`
+                        : "vimrc imported",
+                      { type: errors.length > 0 ? "warning" : "success" }
+                    );
+                  },
+                  disabled: !vimrcText.trim(),
+                  style: {
+                    padding: "8px 16px",
+                    backgroundColor: "#3ba55d",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "3px",
+                    cursor: "pointer",
+                    fontSize: "14px",
+                    fontWeight: "500",
+                    opacity: vimrcText.trim() ? 1 : 0.5,
+                  },
+                },
+                "Import"
+              ),
+              React.createElement(
+                "button",
+                {
+                  onClick: () => {
+                    setVimrcText(this.exportVimrc());
+                    setVimrcErrors([]);
+                  },
+                  style: {
+                    padding: "8px 16px",
+                    backgroundColor: "#5865f2",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "3px",
+                    cursor: "pointer",
+                    fontSize: "14px",
+                    fontWeight: "500",
+                  },
+                },
+                "Export Current"
+              )
+            )
+          ),
           React.createElement(
             "div",
             {
@@ -808,6 +2932,55 @@ module.exports = class VimMotionsPlugin {
                 justifyContent: "flex-end",
               },
             },
+            React.createElement(
+              "button",
+              {
+                onClick: async () => {
+                  const json = await this.pickTextFile(".json");
+                  if (json == null) return;
+                  try {
+                    this.importSettings(json);
+                    setConfig(this.config);
+                    setCustomMappings(this.customMappings);
+                    BdApi.UI.showToast("Settings imported", {
+                      type: "success",
+                    });
+                  } catch (e) {
+                    BdApi.UI.showToast(`Import failed: ${e.message}`, {
+                      type: "error",
+                    });
+                  }
+                },
+                style: {
+                  padding: "8px 16px",
+                  backgroundColor: "#3ba55d",
+                  color: "white",
+                  border: "none",
+                  borderRadius: "3px",
+                  cursor: "pointer",
+                  fontSize: "14px",
+                  fontWeight: "500",
+                },
+              },
+              "Import Settings"
+            ),
+            React.createElement(
+              "button",
+              {
+                onClick: () => this.exportSettings(),
+                style: {
+                  padding: "8px 16px",
+                  backgroundColor: "#5865f2",
+                  color: "white",
+                  border: "none",
+                  borderRadius: "3px",
+                  cursor: "pointer",
+                  fontSize: "14px",
+                  fontWeight: "500",
+                },
+              },
+              "Export Settings"
+            ),
             React.createElement(
               "button",
               {
@@ -854,6 +3027,58 @@ module.exports = class VimMotionsPlugin {
   }
 
   // Styles
+
+  // Token styles for the Discord markdown mode. They need the extra
+  // specificity to beat the rule that forces every span to fontColor.
+  getMarkdownStyles(hexToRgba) {
+    const colors = {
+      ...this.defaultConfig.syntaxColors,
+      ...this.config.syntaxColors,
+    };
+    const tokens = {
+      heading: ["heading", "font-weight: bold;"],
+      list: ["heading", ""],
+      bold: ["bold", "font-weight: bold;"],
+      italic: ["italic", "font-style: italic;"],
+      underline: ["underline", "text-decoration: underline;"],
+      strike: ["strike", "text-decoration: line-through;"],
+      spoiler: [
+        "spoiler",
+        `background-color: ${hexToRgba(colors.spoiler, 0.2)};`,
+      ],
+      code: ["code", `background-color: ${hexToRgba(colors.code, 0.1)};`],
+      fence: ["code", ""],
+      codeblock: ["code", ""],
+      quote: ["quote", ""],
+      subtext: ["quote", "font-size: 0.85em;"],
+      link: ["link", "text-decoration: underline;"],
+      mention: [
+        "mention",
+        `background-color: ${hexToRgba(colors.mention, 0.15)};`,
+      ],
+      timestamp: ["mention", ""],
+      emoji: ["emoji", ""],
+    };
+
+    return Object.entries(tokens)
+      .map(
+        ([token, [color, extra]]) =>
+          `.vim-ace-editor .ace_line .ace_dmd.ace_${token} { color: ${colors[color]} !important; ${extra} }`
+      )
+      .join("\n");
+  }
+
+  // Font and background colors from settings, forced over the theme
+  getCustomColorStyles(fontColor, backgroundColor) {
+    return `
+      .vim-ace-editor .ace_editor { color: ${fontColor} !important; background-color: ${backgroundColor} !important; }
+      .vim-ace-editor .ace_editor, .vim-ace-editor .ace_scroller, .vim-ace-editor .ace_content { background: ${backgroundColor} !important; background-color: ${backgroundColor} !important; }
+      .vim-ace-editor .ace_line, .vim-ace-editor .ace_line > *, .vim-ace-editor .ace_line span { color: ${fontColor} !important; }
+      .vim-ace-editor .ace_text-layer .ace_line, .vim-ace-editor .ace_text-layer .ace_line span { color: ${fontColor} !important; }
+      .vim-ace-editor .ace_gutter { background: ${backgroundColor} !important; color: ${fontColor} !important; }
+    `;
+  }
+
   addStyles() {
     const fontSize = this.config?.fontSize || this.defaultConfig.fontSize;
     const fontFamily = this.config?.fontFamily || this.defaultConfig.fontFamily;
@@ -878,21 +3103,31 @@ module.exports = class VimMotionsPlugin {
       `
       .vim-ace-wrapper { position: relative; width: 100%; min-height: 44px; overflow: visible; min-height: var(--custom-channel-textarea-text-area-height); }
       .vim-ace-editor { width: 100% !important; min-height: 44px; position: relative; min-height: var(--custom-channel-textarea-text-area-height); }
-      .vim-ace-editor .ace_editor { font-family: '${fontFamily}', monospace !important; font-size: ${fontSize}px !important; color: ${fontColor} !important; background-color: ${backgroundColor} !important; width: 100% !important; }
+      .vim-ace-editor .ace_editor { font-family: '${fontFamily}', monospace !important; font-size: ${fontSize}px !important; width: 100% !important; }
       .vim-ace-editor .ace_scroller { overflow-y: auto !important; overflow-x: hidden !important; }
       .vim-ace-editor .ace_scrollbar, .vim-ace-editor .ace_scrollbar-v, .vim-ace-editor .ace_scrollbar-h { display: none !important; }
       .vim-ace-editor .ace_scroller::-webkit-scrollbar { display: none; width: 0; height: 0; }
-      .vim-ace-editor .ace_editor, .vim-ace-editor .ace_scroller, .vim-ace-editor .ace_content { background: ${backgroundColor} !important; background-color: ${backgroundColor} !important; }
       .vim-ace-editor .ace_content { transform: translateY(10px) !important; }
-      .vim-ace-editor .ace_line, .vim-ace-editor .ace_line > *, .vim-ace-editor .ace_line span { color: ${fontColor} !important; }
-      .vim-ace-editor .ace_text-layer .ace_line, .vim-ace-editor .ace_text-layer .ace_line span { color: ${fontColor} !important; }
+      ${this.usesCustomColors() ? this.getCustomColorStyles(fontColor, backgroundColor) : ""}
       .vim-ace-editor .ace_cursor-layer .ace_cursor { border-color: ${cursorColor}; }
       .vim-ace-editor.vim-insert-mode .ace_cursor-layer .ace_cursor { border-left-width: 2px; border-left-color: ${cursorColor}; }
       .vim-ace-editor.vim-normal-mode .ace_cursor-layer .ace_cursor, .vim-ace-editor.vim-visual-mode .ace_cursor-layer .ace_cursor { background-color: ${cursorColorTransparent} !important; }
       .vim-ace-editor.vim-normal-mode .ace_cursor-layer .ace_cursor.ace_overwrite-cursors, .vim-ace-editor.vim-visual-mode .ace_cursor-layer .ace_cursor.ace_overwrite-cursors { color: ${fontColor} !important; opacity: 1 !important; }
       .vim-ace-editor.vim-normal-mode .ace_text-layer, .vim-ace-editor.vim-visual-mode .ace_text-layer { z-index: 2 !important; }
       .vim-ace-editor.vim-normal-mode .ace_cursor-layer, .vim-ace-editor.vim-visual-mode .ace_cursor-layer { z-index: 1 !important; opacity: 1; }
-      .vim-ace-editor .ace_gutter { background: ${backgroundColor} !important; color: ${fontColor} !important; }
+      .vim-ace-editor.vim-visual-linewise .ace_marker-layer .ace_selection, .vim-ace-editor.vim-visual-blockwise .ace_marker-layer .ace_selection { border-radius: 0 !important; }
+      .vim-ace-editor.vim-visual-blockwise .ace_marker-layer .ace_selection { background-color: ${hexToRgba(cursorColor, 0.3)} !important; }
+      .vim-status-line { display: flex; gap: 12px; padding: 2px 8px; font-family: '${fontFamily}', monospace; font-size: ${Math.max(fontSize - 3, 10)}px; line-height: 1.4; color: ${hexToRgba(fontColor, 0.7)}; background-color: ${backgroundColor}; border-top: 1px solid ${hexToRgba(fontColor, 0.1)}; white-space: pre; user-select: none; }
+      .vim-status-line .vim-status-mode { color: ${cursorColor}; font-weight: 700; }
+      .vim-status-line .vim-status-recording { color: ${fontColor}; }
+      .vim-status-line .vim-status-spacer { flex: 1; }
+      .vim-attachments { display: flex; flex-wrap: wrap; gap: 6px; padding: 4px 8px; font-family: '${fontFamily}', monospace; font-size: ${Math.max(fontSize - 3, 10)}px; color: ${hexToRgba(fontColor, 0.8)}; background-color: ${backgroundColor}; border-top: 1px solid ${hexToRgba(fontColor, 0.1)}; }
+      .vim-attachment { display: flex; align-items: center; gap: 6px; padding: 1px 6px; border-radius: 4px; background-color: ${hexToRgba(fontColor, 0.08)}; }
+      .vim-attachment-size { opacity: 0.6; }
+      .vim-attachment-remove { background: none; border: none; padding: 0; color: inherit; cursor: pointer; font-size: inherit; }
+      .vim-attachment-remove:hover { color: ${cursorColor}; }
+      ${this.config?.syntaxHighlighting ? this.getMarkdownStyles(hexToRgba) : ""}
+      .vim-message-selected { background-color: ${hexToRgba(cursorColor, 0.12)} !important; box-shadow: inset 3px 0 0 ${cursorColor}; }
       .vim-hidden-input { display: none !important; }
       .vim-toggle-button {
         background: transparent;
@@ -939,9 +3174,15 @@ module.exports = class VimMotionsPlugin {
     const plugin = this;
 
     const VimToggleButton = () => {
-      // Get global enabled state
-      const enabled = useStateFromStores([VimStore], () =>
-        VimStore.isEnabled()
+      const { SelectedChannelStore } = plugin.dcModules;
+      // State for the current channel: global switch plus enable rules
+      const enabled = useStateFromStores([VimStore, SelectedChannelStore], () =>
+        VimStore.isEnabledForChannel(plugin.getCurrentChannel())
+      );
+      const ruleScope = useStateFromStores(
+        [VimStore, SelectedChannelStore],
+        () =>
+          VimStore.getRuleForChannel(plugin.getCurrentChannel())?.scope ?? null
       );
 
       // Don't use useCallback - we want fresh closure every render
@@ -949,65 +3190,28 @@ module.exports = class VimMotionsPlugin {
         e?.preventDefault?.();
         e?.stopPropagation?.();
 
-        // Get fresh state directly from store
-        const currentState = VimStore.isEnabled();
-        const newState = !currentState;
-
+        // Editors are attached or removed by the store change listener
+        const newState = plugin.toggleEnabledForCurrentChannel();
         plugin.log(
-          `[CLICK EVENT] Toggling VimMotions globally, current state: ${currentState}, new state: ${newState}`
+          `VimMotions ${newState ? "enabled" : "disabled"} here`,
+          "info"
         );
+      };
 
-        VimStore.setEnabled(newState);
-
-        // Small delay to ensure state is updated
-        setTimeout(() => {
-          // Find ALL inputs and attach/destroy editors accordingly
-          const inputs = document.querySelectorAll(
-            '[data-slate-editor="true"], div[role="textbox"][contenteditable="true"]'
-          );
-
-          plugin.log(`Found ${inputs.length} inputs to process globally`);
-
-          inputs.forEach((input) => {
-            if (plugin.shouldAttachToInput(input)) {
-              plugin.log(
-                `Processing input, newState=${newState}, has editor: ${plugin.aceEditors.has(
-                  input
-                )}`
-              );
-
-              if (newState) {
-                // Enable: attach editor
-                // First ensure it's fully destroyed and removed from tracking
-                if (plugin.aceEditors.has(input)) {
-                  plugin.destroyAceEditor(input);
-                }
-                // Remove from activeInputs to allow re-attachment
-                plugin.activeInputs.delete(input);
-                // Now attach the editor
-                plugin.attachAceEditor(input);
-                plugin.log("Re-attached Ace editor after enabling");
-              } else {
-                // Disable: destroy editor if attached
-                if (plugin.aceEditors.has(input)) {
-                  plugin.destroyAceEditor(input);
-                  plugin.log("Destroyed Ace editor after disabling");
-                }
-              }
-            }
-          });
-
-          this.log(
-            `VimMotions ${newState ? "enabled" : "disabled"} globally`,
-            "info"
-          );
-        }, 10);
+      const handleContextMenu = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        plugin.openRuleMenu(e);
       };
 
+      const ruleNote = ruleScope
+        ? ` (${RULE_SCOPES[ruleScope].toLowerCase()} rule, click changes it)`
+        : "";
+
       return React.createElement(
         BdApi.Components.Tooltip,
         {
-          text: enabled ? "VimMotions Enabled" : "VimMotions Disabled",
+          text: `VimMotions ${enabled ? "Enabled" : "Disabled"}${ruleNote}`,
         },
         (props) =>
           React.createElement(
@@ -1015,7 +3219,8 @@ module.exports = class VimMotionsPlugin {
             {
               ...props,
               onClick: handleClick,
-              onMouseDown: handleClick,
+              onMouseDown: (e) => e.button === 0 && handleClick(e),
+              onContextMenu: handleContextMenu,
               className: `vim-toggle-button ${enabled ? "" : "vim-disabled"}`,
             },
             React.createElement(
@@ -1034,6 +3239,85 @@ module.exports = class VimMotionsPlugin {
     return React.createElement(VimToggleButton, { key: "vim-toggle" });
   }
 
+  // The VIM button, hotkey and :VimOn/:VimOff act on what the current
+  // channel shows: the rule deciding it is flipped, else the global switch
+  setEnabledForCurrentChannel(enabled) {
+    const rule = VimStore.getRuleForChannel(this.getCurrentChannel());
+    if (enabled && !VimStore.isEnabled()) VimStore.setEnabled(true);
+    if (rule && rule.enabled !== enabled)
+      VimStore.setRule(rule.scope, rule.id, enabled, rule.name);
+    else if (!enabled) VimStore.setEnabled(false);
+  }
+
+  toggleEnabledForCurrentChannel() {
+    const enabled = !VimStore.isEnabledForChannel(this.getCurrentChannel());
+    this.setEnabledForCurrentChannel(enabled);
+    return enabled;
+  }
+
+  // Right-click menu on the VIM button with the rules for this channel
+  openRuleMenu(e) {
+    const channel = this.getCurrentChannel();
+    if (!channel) return;
+
+    const targets = [["channel", channel.id]];
+    if (channel.guild_id) targets.push(["guild", channel.guild_id]);
+    else if (channel.type === 1) targets.push(["dm", null]);
+    else if (channel.type === 3) targets.push(["groupDm", null]);
+
+    const choices = [
+      ["Default", null],
+      ["Always Enable", true],
+      ["Always Disable", false],
+    ];
+    const items = targets.map(([scope, id]) => {
+      const name = this.getRuleTargetName(scope, id);
+      const current = VimStore.getRule(scope, id)?.enabled ?? null;
+      return {
+        type: "submenu",
+        label: this.getRuleLabel({ scope, id, name }),
+        items: choices.map(([label, value]) => ({
+          type: "radio",
+          label,
+          checked: current === value,
+          action: () => VimStore.setRule(scope, id, value, name),
+        })),
+      };
+    });
+    items.push(
+      { type: "separator" },
+      {
+        type: "toggle",
+        label: "Enabled Everywhere",
+        checked: VimStore.isEnabled(),
+        action: () => VimStore.setEnabled(!VimStore.isEnabled()),
+      }
+    );
+
+    BdApi.ContextMenu.open(e, BdApi.ContextMenu.buildMenu(items));
+  }
+
+  getRuleLabel({ scope, id, name }) {
+    if (!id) return RULE_SCOPES[scope];
+    return `${RULE_SCOPES[scope]}: ${name || id}`;
+  }
+
+  // Display name saved with a rule, so the list still reads well when the
+  // server or channel isn't loaded
+  getRuleTargetName(scope, id) {
+    const { ChannelStore, GuildStore, UserStore } = this.dcModules;
+    if (scope === "guild") return GuildStore?.getGuild(id)?.name ?? null;
+    if (scope !== "channel") return null;
+
+    const channel = ChannelStore?.getChannel(id);
+    if (!channel) return null;
+    if (channel.guild_id) return `#${channel.name}`;
+    if (channel.name) return channel.name;
+    return (channel.recipients ?? [])
+      .map((userId) => `@${UserStore?.getUser(userId)?.username ?? userId}`)
+      .join(", ");
+  }
+
   // Patch chat buttons to add VIM toggle button
   patchChatButtons() {
     try {
@@ -1087,25 +3371,29 @@ module.exports = class VimMotionsPlugin {
     });
   }
 
-  findAndAttachToInputs(root = document) {
-    const selectors = [
-      '[data-slate-editor="true"]',
-      'div[role="textbox"][contenteditable="true"]',
-    ];
+  // Attach editors to new chat inputs, or remove them when Vim is off for
+  // the current channel. Shared by the observer, the VIM button, the hotkey
+  // and :VimOn/:VimOff, which pass keepCursor so the text and cursor move
+  // between Ace and Slate
+  findAndAttachToInputs(keepCursor = false) {
+    const enabled = VimStore.isEnabledForChannel(this.getCurrentChannel());
 
-    selectors.forEach((selector) => {
-      const inputs = root.querySelectorAll
-        ? root.querySelectorAll(selector)
-        : [];
-      inputs.forEach((input) => {
-        if (!this.activeInputs.has(input) && this.shouldAttachToInput(input)) {
-          // Check if VimMotions is enabled globally
-          if (VimStore.isEnabled()) {
-            this.attachAceEditor(input);
-          }
-        }
+    if (!enabled) {
+      Array.from(this.aceEditors.keys()).forEach((input) =>
+        this.detachAceEditor(input, keepCursor)
+      );
+      return;
+    }
+
+    document
+      .querySelectorAll(
+        '[data-slate-editor="true"], div[role="textbox"][contenteditable="true"]'
+      )
+      .forEach((input) => {
+        if (this.activeInputs.has(input) || !this.shouldAttachToInput(input))
+          return;
+        this.attachAceEditor(input, keepCursor);
       });
-    });
   }
 
   shouldAttachToInput(input) {
@@ -1123,6 +3411,53 @@ module.exports = class VimMotionsPlugin {
     return channelId;
   }
 
+  getCurrentChannel() {
+    // Called on every DOM mutation, so don't log when no channel is open
+    const channelId = this.dcModules.SelectedChannelStore?.getChannelId();
+    return this.dcModules.ChannelStore?.getChannel(channelId);
+  }
+
+  // Global shortcut that works like clicking the VIM button
+  setupToggleHotkey() {
+    this.hotkeyListener = (e) => {
+      if (!this.matchesHotkey(e, this.config.toggleHotkey)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const enabled = this.toggleEnabledForCurrentChannel();
+      BdApi.UI.showToast(
+        `[VimMotions] Vim ${enabled ? "enabled" : "disabled"}`,
+        { type: "info" }
+      );
+    };
+    document.addEventListener("keydown", this.hotkeyListener, true);
+  }
+
+  // Matches shortcuts written like "Ctrl+Alt+V" or "Ctrl+Shift+F2"
+  matchesHotkey(e, hotkey) {
+    if (!hotkey?.trim()) return false;
+    const parts = hotkey
+      .toLowerCase()
+      .split("+")
+      .map((part) => part.trim());
+    const key = parts.pop();
+    const modifiers = {
+      ctrl: e.ctrlKey,
+      alt: e.altKey,
+      shift: e.shiftKey,
+      meta: e.metaKey,
+    };
+    const wanted = parts.map((part) =>
+      part === "control" ? "ctrl" : part === "cmd" ? "meta" : part
+    );
+    if (Object.keys(modifiers).some((m) => modifiers[m] !== wanted.includes(m)))
+      return false;
+    return (
+      e.key.toLowerCase() === key ||
+      e.code.toLowerCase() === `key${key}` ||
+      e.code.toLowerCase() === key
+    );
+  }
+
   // Listen for channel changes and save draft before switching
   setupChannelChangeListener() {
     // Don't subscribe if already subscribed
@@ -1148,6 +3483,16 @@ module.exports = class VimMotionsPlugin {
       }
 
       previousChannelId = newChannelId;
+
+      // The selection belongs to the old channel's message list
+      this.exitMessageMode(false);
+
+      // The new channel may have a different enable rule, and editors that
+      // stay mounted have to show its queued attachments instead
+      setTimeout(() => {
+        this.findAndAttachToInputs();
+        this.renderAttachmentLists();
+      }, 0);
     };
 
     // Use Flux dispatcher to listen for channel changes
@@ -1342,16 +3687,20 @@ module.exports = class VimMotionsPlugin {
     }
   }
 
-  attachAceEditor(originalInput) {
+  attachAceEditor(originalInput, keepCursor = false) {
     if (!this.aceLoaded || !window.ace) {
       this.log("Ace Editor not loaded", "error");
       return;
     }
 
     try {
+      // Read before createEditor hides the Slate input
+      const slateState = keepCursor ? this.getSlateState(originalInput) : null;
+
       const { editor, editorDiv } = this.createEditor(originalInput);
 
       this.loadInitialContent(editor, originalInput);
+      if (slateState) this.restoreSlateState(editor, originalInput, slateState);
 
       const isEditMode = this.isEditMode(originalInput);
 
@@ -1409,6 +3758,23 @@ module.exports = class VimMotionsPlugin {
     editorDiv.className = "vim-ace-editor";
     wrapper.appendChild(editorDiv);
 
+    const attachmentList = document.createElement("div");
+    attachmentList.className = "vim-attachments";
+    attachmentList.style.display = "none";
+    wrapper.appendChild(attachmentList);
+
+    const statusLine = document.createElement("div");
+    statusLine.className = "vim-status-line";
+    statusLine.style.display = "none";
+    wrapper.appendChild(statusLine);
+
+    // The hidden Slate input no longer sees pasted or dropped files
+    const attachmentListener = (e) =>
+      this.handleAttachmentEvent(e, originalInput);
+    ["paste", "dragover", "drop"].forEach((type) =>
+      wrapper.addEventListener(type, attachmentListener, true)
+    );
+
     // Insert wrapper and hide original input
     originalInput.parentNode.insertBefore(wrapper, originalInput);
     originalInput.classList.add("vim-hidden-input");
@@ -1417,6 +3783,12 @@ module.exports = class VimMotionsPlugin {
     const editor = window.ace.edit(editorDiv);
     this.applyEditorSettings(editor, originalInput);
 
+    // Relative numbers change with every cursor move
+    editor.on("changeSelection", () => {
+      if (this.config.relativeNumber && editor.renderer.getShowGutter())
+        editor.renderer.$loop.schedule(editor.renderer.CHANGE_GUTTER);
+    });
+
     // Placeholder from Discord DOM
     const placeholderText = this.getPlaceholderText(originalInput);
     if (placeholderText) this.setPlaceholder(editor, placeholderText);
@@ -1440,10 +3812,18 @@ module.exports = class VimMotionsPlugin {
       wrapper,
       textarea,
       editorDiv,
+      statusLine,
+      attachmentList,
+      attachmentListener,
       // vimMode will be attached later in setupVimMode
       vimMode: null,
+      // Vim state tracked per editor so several live inputs don't interfere
+      mode: "insert",
+      justEnteredInsertMode: false,
+      keySequences: this.initializeKeySequences(),
     });
     this.activeInputs.add(originalInput);
+    this.renderAttachmentList(originalInput);
 
     return { editor, wrapper, editorDiv };
   }
@@ -1475,6 +3855,8 @@ module.exports = class VimMotionsPlugin {
 
       editor.setValue(existingContent, -1);
       editor.navigateFileEnd();
+      // Remembered so :q can tell whether the edit was modified
+      this.aceEditors.get(originalInput).initialContent = existingContent;
       this.log(
         `Loaded existing content from edit mode with newlines preserved:\n${existingContent}`
       );
@@ -1554,7 +3936,6 @@ module.exports = class VimMotionsPlugin {
     let vimMode = null;
 
     const textarea = editor.textInput.getElement();
-    const keySequences = this.initializeKeySequences();
 
     // Shift+Enter for new line
     editor.commands.addCommand({
@@ -1564,10 +3945,14 @@ module.exports = class VimMotionsPlugin {
     });
 
     // Setup keyboard handling and store listener so we can remove it on destroy
-    const keydownListener = (e) =>
-      this.handleKeydown(e, editor, originalInput, vimMode, keySequences);
+    const keydownListener = (e) => this.handleKeydown(e, originalInput);
     textarea.addEventListener("keydown", keydownListener);
 
+    // Capture phase so cmap and surround run before Ace handles the key
+    const captureKeydownListener = (e) =>
+      this.handleCaptureKeydown(e, originalInput);
+    editorDiv.addEventListener("keydown", captureKeydownListener, true);
+
     // Enable Vim keybindings after a short delay
     setTimeout(() => {
       this.log("Setting Vim keyboard handler...");
@@ -1575,12 +3960,16 @@ module.exports = class VimMotionsPlugin {
       vimMode = editor.state.cm;
 
       if (vimMode) {
-        this.setupVimModeHandlers(vimMode, editor, textarea);
+        this.setupVimModeHandlers(vimMode, editor, textarea, originalInput);
+        this.registerExCommands(vimMode.constructor.Vim);
+        this.registerVimActions(vimMode.constructor.Vim);
+        this.registerSurround(vimMode.constructor.Vim);
         this.applyVimMappings(editor);
+        this.setupStatusLine(editor, vimMode, originalInput);
       }
 
       const clickListener = () =>
-        this.handleEditorClick(editor, textarea, vimMode);
+        this.handleEditorClick(editor, textarea, vimMode, originalInput);
       editorDiv.addEventListener("click", clickListener);
 
       // store listeners and vimMode for cleanup and later access
@@ -1588,6 +3977,7 @@ module.exports = class VimMotionsPlugin {
       this.aceEditors.set(originalInput, {
         ...prev,
         keydownListener,
+        captureKeydownListener,
         clickListener,
         editorDiv,
         vimMode, // Store vimMode so we can access it later
@@ -1611,29 +4001,43 @@ module.exports = class VimMotionsPlugin {
           return;
         }
 
-        const singleKeyMappings = [];
-        const sequenceMappings = [];
+        // The keymap is shared by every editor, so drop what we registered
+        // last time before registering the current mappings
+        this.removeVimMappings(Vim);
+
+        // Plugin keys first so custom mappings registered after them win
+        this.getPluginKeyBindings().forEach(
+          ({ keys, type = "action", action, actionArgs = {}, context }) => {
+            if (!keys) return;
+            const from = this.expandLeader(keys);
+            Vim.mapCommand(from, type, action, actionArgs, { context });
+            this.appliedVimMappings.push({ from, ctx: context });
+          }
+        );
+
+        // Discord text objects next to Vim's own iw, i" and friends
+        this.registerTextObjects(Vim);
 
-        this.customMappings.forEach((mapping) => {
+        this.customMappings.forEach((mapping, index) => {
           if (!mapping || !mapping.from) return;
-          if (mapping.from.length > 1 && !mapping.from.startsWith("<"))
-            sequenceMappings.push(mapping);
-          else singleKeyMappings.push(mapping);
-        });
-
-        singleKeyMappings.forEach((mapping) => {
+          // Handled by handleCommandLineKeydown, Ace's Vim has no cmap
+          if (mapping.mode === "commandLine") return;
+
+          // Insert sequences are detected by handleKeySequence, which then
+          // presses this <Plug> key so Vim runs the rhs and honors noremap
+          const from = this.isSequenceMapping(mapping)
+            ? this.getSequencePlugKey(index)
+            : this.expandLeader(mapping.from);
+          const to = this.expandLeader(mapping.to);
+          // Ex command mappings (":W" -> ":w") don't take a mode
+          const ctx = from.startsWith(":") ? undefined : mapping.mode;
           try {
-            if (typeof Vim.map === "function") {
-              Vim.map(mapping.from, mapping.to, mapping.mode);
-              this.log(
-                `Applied Vim mapping: ${mapping.from} → ${mapping.to} (${mapping.mode})`
-              );
-            } else {
-              this.log(
-                `Vim.map not available; cannot apply mapping ${mapping.from}`,
-                "warn"
-              );
-            }
+            if (mapping.noremap) Vim.noremap(from, to, ctx);
+            else Vim.map(from, to, ctx);
+            this.appliedVimMappings.push({ from, ctx });
+            this.log(
+              `Applied Vim ${mapping.noremap ? "noremap" : "map"}: ${from} → ${to} (${mapping.mode})`
+            );
           } catch (e) {
             this.log(
               `Error applying mapping ${mapping.from}: ${e.message}`,
@@ -1641,27 +4045,642 @@ module.exports = class VimMotionsPlugin {
             );
           }
         });
+      });
+    } catch (e) {
+      this.log(`Error loading Vim module: ${e.message}`, "error");
+    }
+  }
 
-        if (sequenceMappings.length > 0) {
-          this.log(
-            `${sequenceMappings.length} sequence mappings require key sequence detection`
+  getPluginKeyBindings() {
+    return [
+      {
+        keys: this.config.messageModeKey,
+        action: "vimMotionsMessageMode",
+        context: "normal",
+      },
+      {
+        keys: this.config.editLastMessageKey,
+        action: "vimMotionsEditLastMessage",
+        context: "normal",
+      },
+      {
+        keys: this.config.cancelReplyKey,
+        action: "vimMotionsCancelReply",
+        context: "normal",
+      },
+      // Ace's multiple cursors; Vim runs each command once per cursor
+      ...["normal", "visual"].map((context) => ({
+        keys: this.config.multiCursorKey,
+        action: "aceCommand",
+        actionArgs: { name: "selectMoreAfter" },
+        context,
+      })),
+      {
+        keys: "<C-Down>",
+        action: "aceCommand",
+        actionArgs: { name: "addCursorBelow" },
+        context: "normal",
+      },
+      {
+        keys: "<C-Up>",
+        action: "aceCommand",
+        actionArgs: { name: "addCursorAbove" },
+        context: "normal",
+      },
+      // ys, cs and ds are caught in handleSurroundKeydown since y, c and d
+      // are complete commands to Vim
+      {
+        keys: "S",
+        type: "operator",
+        action: "vimMotionsSurround",
+        context: "visual",
+      },
+    ];
+  }
+
+  registerVimActions(Vim) {
+    Vim.defineAction("vimMotionsMessageMode", (cm) => {
+      const originalInput = this.findInputForVimMode(cm);
+      if (originalInput) this.enterMessageMode(originalInput);
+    });
+    Vim.defineAction("vimMotionsEditLastMessage", (cm) => {
+      const originalInput = this.findInputForVimMode(cm);
+      if (originalInput) this.editLastMessage(originalInput);
+    });
+    Vim.defineAction("vimMotionsCancelReply", () =>
+      this.clearPendingReply(this.getCurrentChannelId())
+    );
+  }
+
+  // Text objects
+
+  registerTextObjects(Vim) {
+    Vim.defineMotion(
+      "vimMotionsTextObject",
+      (cm, head, { object, inner }, vim) => {
+        const { doc } = cm.ace.session;
+        const offset = doc.positionToIndex({ row: head.line, column: head.ch });
+        const span = this.findTextObject(doc.getValue(), offset, object, inner);
+        if (!span) return null;
+
+        const toPos = (index) => {
+          const { row, column } = doc.indexToPosition(index);
+          return { line: row, ch: column };
+        };
+        // A visual selection includes the character under its head
+        const end = vim.visualMode ? Math.max(span[0], span[1] - 1) : span[1];
+        return [toPos(span[0]), toPos(end)];
+      }
+    );
+
+    Object.keys(TEXT_OBJECTS).forEach((object) =>
+      ["i", "a"].forEach((prefix) =>
+        ["operatorPending", "visual"].forEach((context) => {
+          const from = prefix + object;
+          Vim.mapCommand(
+            from,
+            "motion",
+            "vimMotionsTextObject",
+            { object, inner: prefix === "i" },
+            { context }
           );
+          this.appliedVimMappings.push({ from, ctx: context });
+        })
+      )
+    );
+  }
+
+  // [start, end) of the smallest match around offset. The a-variants take
+  // the delimiters, and like aw the spaces after a URL or mention.
+  findTextObject(text, offset, object, inner) {
+    let best = null;
+    TEXT_OBJECTS[object].forEach((pattern) => {
+      for (const match of text.matchAll(pattern)) {
+        const [whole, open, content] = match;
+        const start = match.index;
+        const end = start + whole.length;
+        if (offset < start || offset >= end) continue;
+        if (!best || end - start < best.end - best.start) {
+          const innerStart = start + open.length;
+          const innerEnd = innerStart + content.length;
+          best = { start, end, innerStart, innerEnd };
         }
+      }
+    });
+    if (!best) return null;
+    if (inner) return [best.innerStart, best.innerEnd];
+
+    let { start, end } = best;
+    if (object === "u" || object === "m") {
+      const after = text.slice(end).match(/^[ \t]*/)[0].length;
+      if (after > 0) end += after;
+      else start -= text.slice(0, start).match(/[ \t]*$/)[0].length;
+    } else if (object === "q") {
+      // Whole lines, so the newline goes too
+      if (text[end] === "\n") end++;
+      else if (text[start - 1] === "\n") start--;
+    }
+    return [start, end];
+  }
+
+  // Surround (vim-surround)
+
+  registerSurround(Vim) {
+    // ys{motion} and visual S: remember the text, the next keys pick the pair
+    Vim.defineOperator("vimMotionsSurround", (cm, args, ranges) => {
+      const editorData = this.aceEditors.get(this.findInputForVimMode(cm));
+      const { doc } = cm.ace.session;
+      const toIndex = ({ line, ch }) =>
+        doc.positionToIndex({ row: line, column: ch });
+      const offsets = ranges
+        .map(({ anchor, head }) =>
+          [toIndex(anchor), toIndex(head)].sort((a, b) => a - b)
+        )
+        .sort((a, b) => a[0] - b[0]);
+      if (editorData) {
+        this.startSurround(editorData, {
+          type: "add",
+          ranges: offsets,
+          linewise: args.linewise,
+        });
+      }
+      const start = doc.indexToPosition(offsets[0][0]);
+      return { line: start.row, ch: start.column };
+    });
+  }
+
+  // Turns y, d and c followed by s into ys, ds and cs. Also reads the
+  // surround keys once a surround is pending.
+  handleSurroundKeydown(e, originalInput) {
+    const editorData = this.aceEditors.get(originalInput);
+    const { vimMode, mode, editor } = editorData || {};
+    if (!vimMode || e.isComposing) return false;
+
+    const Vim = vimMode.constructor.Vim;
+    const key = Vim.vimKeyFromEvent(e, vimMode.state.vim);
+    if (!key) return false;
+
+    if (editorData.surround) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.handleSurroundKey(editorData, key);
+      return true;
+    }
+
+    const { inputState } = vimMode.state.vim;
+    if (mode !== "normal" || key !== "s" || inputState.keyBuffer.length > 0)
+      return false;
+
+    if (inputState.operator === "yank") {
+      // The motion that follows completes the surround operator
+      inputState.operator = "vimMotionsSurround";
+      inputState.operatorArgs = {};
+    } else if (inputState.operator === "vimMotionsSurround") {
+      // yss: the current line without its surrounding whitespace
+      Vim.handleKey(vimMode, "<Esc>", "user");
+      const { row } = editor.getCursorPosition();
+      const line = editor.session.getLine(row);
+      const start = line.length - line.trimStart().length;
+      const end = line.trimEnd().length;
+      const index = editor.session.doc.positionToIndex({ row, column: 0 });
+      this.startSurround(editorData, {
+        type: "add",
+        ranges: [[index + start, index + Math.max(start, end)]],
       });
-    } catch (e) {
-      this.log(`Error loading Vim module: ${e.message}`, "error");
+    } else if (
+      inputState.operator === "delete" ||
+      inputState.operator === "change"
+    ) {
+      const type = inputState.operator;
+      Vim.handleKey(vimMode, "<Esc>", "user");
+      this.startSurround(editorData, { type });
+    } else {
+      return false;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    return true;
+  }
+
+  startSurround(editorData, surround) {
+    clearTimeout(editorData.surround?.timer);
+    editorData.surround = { keys: "", ...surround };
+  }
+
+  getSurroundPairs() {
+    const pairs = { ...SURROUND_PAIRS };
+    (this.config.surroundPairs || []).forEach(({ trigger, open, close }) => {
+      pairs[trigger] = [open, close];
+    });
+    return pairs;
+  }
+
+  // Collect keys until they name exactly one pair. A target that starts a
+  // longer one (* and **) waits for the sequence timeout like a mapping.
+  handleSurroundKey(editorData, key) {
+    const surround = editorData.surround;
+    clearTimeout(surround.timer);
+
+    const char = VIM_LITERAL_KEYS[key.toLowerCase()] ?? key;
+    if (char.length !== 1) {
+      editorData.surround = null;
+      return;
+    }
+
+    const keys = surround.keys + char;
+    const pairs = this.getSurroundPairs();
+    const full = pairs[keys];
+    const partial = Object.keys(pairs).some(
+      (trigger) => trigger.length > keys.length && trigger.startsWith(keys)
+    );
+
+    if (!full && !partial) {
+      editorData.surround = null;
+      return;
+    }
+    if (full && !partial) {
+      this.takeSurroundPair(editorData, full);
+      return;
+    }
+
+    surround.keys = keys;
+    surround.timer = setTimeout(() => {
+      if (editorData.surround !== surround) return;
+      if (full) this.takeSurroundPair(editorData, full);
+      else editorData.surround = null;
+    }, this.config.sequenceTimeout || 1000);
+  }
+
+  takeSurroundPair(editorData, pair) {
+    const surround = editorData.surround;
+    if (surround.type === "change" && !surround.old) {
+      // cs: that was the old pair, now read the new one
+      surround.old = pair;
+      surround.keys = "";
+      return;
+    }
+
+    editorData.surround = null;
+    const { editor } = editorData;
+    if (surround.type === "add") {
+      this.addSurround(editor, surround.ranges, pair, surround.linewise);
+    } else {
+      const replacement = surround.type === "change" ? pair : null;
+      if (!this.changeSurround(editor, surround.old ?? pair, replacement))
+        this.showVimMessage(editorData.vimMode, "No surrounding pair found");
+    }
+  }
+
+  addSurround(editor, ranges, [open, close], linewise) {
+    const { session } = editor;
+    const text = session.getValue();
+    session.mergeUndoDeltas = false; // One undo step for the whole surround
+
+    // Last range first so the offsets of earlier ones stay valid
+    [...ranges].reverse().forEach(([start, end]) => {
+      // Linewise targets wrap the lines, not the newline after them
+      if (linewise && text[end - 1] === "\n") end--;
+      session.insert(session.doc.indexToPosition(end), close);
+      session.insert(session.doc.indexToPosition(start), open);
+    });
+
+    const start = session.doc.indexToPosition(ranges[0][0]);
+    editor.selection.moveTo(start.row, start.column);
+  }
+
+  // ds when replacement is null, cs otherwise
+  changeSurround(editor, pair, replacement) {
+    const { session } = editor;
+    const text = session.getValue();
+    const cursor = session.doc.positionToIndex(editor.getCursorPosition());
+    const found = this.findSurround(text, cursor, pair);
+    if (!found) return false;
+
+    const { openStart, openEnd, closeStart, closeEnd } = found;
+    const toRange = (start, end) => {
+      const from = session.doc.indexToPosition(start);
+      const to = session.doc.indexToPosition(end);
+      return new window.ace.Range(from.row, from.column, to.row, to.column);
+    };
+
+    session.mergeUndoDeltas = false;
+    session.replace(toRange(closeStart, closeEnd), replacement?.[1] ?? "");
+    session.replace(toRange(openStart, openEnd), replacement?.[0] ?? "");
+
+    const start = session.doc.indexToPosition(openStart);
+    editor.selection.moveTo(start.row, start.column);
+    return true;
+  }
+
+  // Find the pair around offset. Same-character delimiters pair up from the
+  // start of the message like Discord's markdown, brackets by nesting.
+  findSurround(text, offset, [open, close]) {
+    const left = open.trim();
+    const right = close.trim();
+    if (!left || !right) return null;
+    let openStart = -1;
+    let closeStart = -1;
+
+    if (left === right) {
+      const positions = [];
+      let index = text.indexOf(left);
+      while (index !== -1) {
+        positions.push(index);
+        index = text.indexOf(left, index + left.length);
+      }
+      for (let i = 0; i + 1 < positions.length; i += 2) {
+        if (positions[i] <= offset && offset < positions[i + 1] + left.length) {
+          openStart = positions[i];
+          closeStart = positions[i + 1];
+          break;
+        }
+      }
+    } else {
+      // A closing bracket under the cursor belongs to the pair we want
+      let depth = 0;
+      for (let i = Math.min(offset, text.length - 1); i >= 0; i--) {
+        if (i !== offset && text.startsWith(right, i)) {
+          depth++;
+        } else if (text.startsWith(left, i)) {
+          if (depth === 0) {
+            openStart = i;
+            break;
+          }
+          depth--;
+        }
+      }
+      depth = 0;
+      for (
+        let i = openStart + left.length;
+        openStart !== -1 && i < text.length;
+        i++
+      ) {
+        if (text.startsWith(left, i)) {
+          depth++;
+        } else if (text.startsWith(right, i)) {
+          if (depth === 0) {
+            closeStart = i;
+            break;
+          }
+          depth--;
+        }
+      }
+    }
+    if (openStart === -1 || closeStart === -1) return null;
+
+    let openEnd = openStart + left.length;
+    const closeEnd = closeStart + right.length;
+    if (left === "```") {
+      // The language tag belongs to the fence
+      const lineEnd = text.indexOf("\n", openEnd);
+      if (lineEnd !== -1 && lineEnd < closeStart) openEnd = lineEnd;
+    }
+    // Padded pairs like ( and fences also take the whitespace inside
+    if (open !== left || close !== right) {
+      while (openEnd < closeStart && /\s/.test(text[openEnd])) openEnd++;
+      while (closeStart > openEnd && /\s/.test(text[closeStart - 1]))
+        closeStart--;
+    }
+    return { openStart, openEnd, closeStart, closeEnd };
+  }
+
+  removeVimMappings(Vim) {
+    this.appliedVimMappings.forEach(({ from, ctx }) => {
+      try {
+        Vim.unmap(from, ctx);
+      } catch (e) {
+        this.log(`Error removing mapping ${from}: ${e.message}`, "warn");
+      }
+    });
+    this.appliedVimMappings = [];
+  }
+
+  // Insert mode sequences like jk are detected by handleKeySequence, every
+  // other multi-key mapping is a plain Vim.map/Vim.noremap
+  isSequenceMapping(mapping) {
+    return (
+      mapping.mode === "insert" &&
+      mapping.from.length > 1 &&
+      !mapping.from.startsWith("<")
+    );
+  }
+
+  getSequencePlugKey(index) {
+    return `<Plug>(VimMotionsSequence${index})`;
+  }
+
+  expandLeader(keys) {
+    return keys
+      .replace(/<leader>/gi, this.config?.mapLeader || "\\")
+      .replace(/<localleader>/gi, this.config?.mapLocalLeader || "\\");
+  }
+
+  // Re-register mappings and key sequences on every live editor
+  reapplyMappings() {
+    this.aceEditors.forEach((editorData) => {
+      editorData.keySequences = this.initializeKeySequences();
+      this.applyVimMappings(editorData.editor);
+    });
+  }
+
+  // vimrc import/export
+
+  importVimrc(text) {
+    const { config, mappings, errors } = this.parseVimrc(text);
+    this.applyConfig(config, mappings);
+
+    this.log(
+      `Imported vimrc: ${mappings.length} mappings, ${errors.length} errors`
+    );
+    return errors;
+  }
+
+  parseVimrc(text) {
+    const config = { ...this.config };
+    let mappings = [...this.customMappings];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim().replace(/^:+\s*/, "");
+      if (!line || line.startsWith('"')) return;
+
+      const fail = (message) =>
+        errors.push({ line: index + 1, text: rawLine.trim(), message });
+      const [, command, rest] = line.match(/^(\S+)\s*(.*)$/);
+      let match;
+
+      if ((match = command.match(/^([nvxoic]?)(nore)?map$/))) {
+        const args = rest.replace(
+          /^(<(silent|nowait|unique|buffer)>\s*)+/i,
+          ""
+        );
+        const [, from, to] = args.match(/^(\S+)\s+(.+)$/) || [];
+        if (!from) return fail("E474: Invalid argument");
+
+        VIMRC_MODE_PREFIXES[match[1]].forEach((mode) => {
+          mappings = mappings.filter(
+            (m) => !(m.from === from && m.mode === mode)
+          );
+          mappings.push({ from, to: to.trim(), mode, noremap: !!match[2] });
+        });
+      } else if ((match = command.match(/^([nvxoic]?)unmap$/))) {
+        const from = rest.trim();
+        if (!from) return fail("E471: Argument required");
+
+        const modes = VIMRC_MODE_PREFIXES[match[1]];
+        const remaining = mappings.filter(
+          (m) => !(m.from === from && modes.includes(m.mode))
+        );
+        if (remaining.length === mappings.length)
+          return fail("E31: No such mapping");
+        mappings = remaining;
+      } else if ((match = command.match(/^([nvxoic]?)mapclear$/))) {
+        const modes = VIMRC_MODE_PREFIXES[match[1]];
+        mappings = mappings.filter((m) => !modes.includes(m.mode));
+      } else if (command === "let") {
+        const [, name, value] =
+          rest.match(/^(?:g:)?(\w+)\s*=\s*(.+)$/) || [];
+        const key = {
+          mapleader: "mapLeader",
+          maplocalleader: "mapLocalLeader",
+        }[name];
+        if (!key) return fail(`Unsupported variable: ${name || rest}`);
+
+        const leader = this.parseVimrcString(value);
+        if (!leader) return fail(`E15: Invalid expression: ${value}`);
+        config[key] = leader;
+      } else if (command === "set" || command === "se") {
+        rest
+          .replace(/\s+".*$/, "")
+          .split(/\s+/)
+          .filter(Boolean)
+          .forEach((arg) => {
+            const error = this.applyVimrcOption(config, arg);
+            if (error) fail(error);
+          });
+      } else {
+        fail(`E492: Not an editor command: ${line}`);
+      }
+    });
+
+    return { config, mappings, errors };
+  }
+
+  // Apply one `set` argument (opt, noopt, invopt, opt!, opt&, opt=val) to config
+  applyVimrcOption(config, arg) {
+    const match = arg.match(/^(\w+)([!&]|[=:](.*))?$/);
+    if (!match) return `E518: Unknown option: ${arg}`;
+    const [, word, suffix, value] = match;
+
+    let name = word;
+    let prefix = "";
+    if (!VIMRC_OPTIONS[name]) {
+      prefix = word.match(/^(no|inv)?/)[0];
+      name = word.slice(prefix.length);
+    }
+    let option = VIMRC_OPTIONS[name];
+    if (typeof option === "string") option = VIMRC_OPTIONS[option];
+    if (!option) return `E518: Unknown option: ${word}`;
+
+    if (suffix === "&") {
+      config[option.key] = this.defaultConfig[option.key];
+      return null;
+    }
+
+    if (option.type === "boolean") {
+      if (value !== undefined) return `E474: Invalid argument: ${arg}`;
+      config[option.key] =
+        prefix === "no"
+          ? false
+          : prefix === "inv" || suffix === "!"
+          ? !config[option.key]
+          : true;
+      return null;
+    }
+
+    if (prefix || value === undefined) return `E474: Invalid argument: ${arg}`;
+
+    if (option.type === "string") {
+      if (option.values && !option.values.includes(value))
+        return `E474: Invalid argument: ${arg}`;
+      config[option.key] = value;
+      return null;
     }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1)
+      return `E521: Number required after =: ${arg}`;
+    config[option.key] = number;
+    return null;
+  }
+
+  // Parse a quoted vimrc string; "\<Space>" style keys stay in key notation
+  parseVimrcString(value) {
+    const single = value.match(/^'((?:[^']|'')*)'/);
+    if (single) return single[1].replace(/''/g, "'");
+
+    const double = value.match(/^"((?:[^"\\]|\\.)*)"/);
+    if (double)
+      return double[1]
+        .replace(/\\<([\w-]+)>/g, "<$1>")
+        .replace(/\\(.)/g, "$1");
+
+    return null;
+  }
+
+  formatVimrcString(value) {
+    const escaped = value
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/<([\w-]+)>/g, "\\<$1>");
+    return `"${escaped}"`;
+  }
+
+  exportVimrc() {
+    const lines = ['" VimMotions configuration'];
+    lines.push(`let mapleader = ${this.formatVimrcString(this.config.mapLeader)}`);
+    lines.push(
+      `let maplocalleader = ${this.formatVimrcString(
+        this.config.mapLocalLeader
+      )}`
+    );
+
+    Object.entries(VIMRC_OPTIONS).forEach(([name, option]) => {
+      if (typeof option === "string") return;
+      const value = this.config[option.key];
+      lines.push(
+        option.type === "boolean"
+          ? `set ${value ? "" : "no"}${name}`
+          : `set ${name}=${value}`
+      );
+    });
+
+    this.customMappings.forEach((mapping) => {
+      const prefix = Object.keys(VIMRC_MODE_PREFIXES).find(
+        (p) => p && VIMRC_MODE_PREFIXES[p][0] === mapping.mode
+      );
+      lines.push(
+        `${prefix ?? ""}${mapping.noremap ? "nore" : ""}map ${mapping.from} ${
+          mapping.to
+        }`
+      );
+    });
+
+    return lines.join("\n") + "\n";
   }
 
   initializeKeySequences() {
     const sequences = new Map();
-    this.customMappings.forEach((mapping) => {
-      if (mapping.from.length > 1 && !mapping.from.startsWith("<")) {
-        sequences.set(mapping.from, {
+    this.customMappings.forEach((mapping, index) => {
+      if (this.isSequenceMapping(mapping)) {
+        sequences.set(`${mapping.mode}:${mapping.from}`, {
+          keys: mapping.from,
           buffer: [],
           lastTime: 0,
-          timeout: 1000,
-          action: mapping.to,
+          timeout: mapping.timeout || this.config.sequenceTimeout || 1000,
+          action: this.expandLeader(mapping.to),
+          plugKey: this.getSequencePlugKey(index),
           mode: mapping.mode,
         });
       }
@@ -1669,19 +4688,43 @@ module.exports = class VimMotionsPlugin {
     return sequences;
   }
 
-  handleKeydown(e, editor, originalInput, vimMode, keySequences) {
+  handleKeydown(e, originalInput) {
+    const editorData = this.aceEditors.get(originalInput);
+    const editor = editorData?.editor;
+
     // Guard: editor might have been destroyed
     if (!editor || editor._destroyed) return;
 
     if (e.isComposing || e.key === "Process") return;
 
     if (e.key === "Enter" && !e.shiftKey) {
-      this.handleEnterKey(e, editor, originalInput, vimMode);
+      this.handleEnterKey(e, originalInput);
+      return;
+    }
+
+    if (
+      e.key === "ArrowUp" &&
+      editorData.mode === "insert" &&
+      this.config.editLastMessageOnUp &&
+      !e.shiftKey &&
+      !e.ctrlKey &&
+      !e.altKey &&
+      !e.metaKey &&
+      editor.getValue() === ""
+    ) {
+      if (this.editLastMessage(originalInput)) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
       return;
     }
 
-    if (this.currentMode === "insert" && e.key.length === 1 && keySequences) {
-      if (this.handleKeySequence(e, editor, vimMode, keySequences)) return;
+    if (
+      editorData.mode === "insert" &&
+      e.key.length === 1 &&
+      editorData.keySequences
+    ) {
+      if (this.handleKeySequence(e, editorData)) return;
     }
 
     const vimModeChangeKeys = [
@@ -1699,11 +4742,11 @@ module.exports = class VimMotionsPlugin {
       "R",
     ];
     const shouldSkipInsertion =
-      this.justEnteredInsertMode && vimModeChangeKeys.includes(e.key);
+      editorData.justEnteredInsertMode && vimModeChangeKeys.includes(e.key);
 
     if (
       !shouldSkipInsertion &&
-      this.currentMode === "insert" &&
+      editorData.mode === "insert" &&
       e.key.length === 1 &&
       !e.ctrlKey &&
       !e.altKey &&
@@ -1711,23 +4754,226 @@ module.exports = class VimMotionsPlugin {
     ) {
       e.preventDefault();
       e.stopPropagation();
-      const insertSuccess = editor.insert(e.key);
+      // Run as a command so live autocompletion sees the typed character
+      const insertSuccess = editor.execCommand("insertstring", e.key);
       this.log(
         `Manual insert (insert mode): ${e.key}, Edit mode: ${this.isEditMode(
           originalInput
         )}, Insert success: ${insertSuccess !== false}`
       );
     } else {
-      this.log(`Vim handling (${this.currentMode} mode): ${e.key}`);
+      this.log(`Vim handling (${editorData.mode} mode): ${e.key}`);
+    }
+  }
+
+  handleCaptureKeydown(e, originalInput) {
+    if (this.handleCompletionKeydown(e, originalInput)) return;
+    if (e.target.closest?.(".ace_dialog"))
+      this.handleCommandLineKeydown(e, originalInput);
+    else if (!this.handleBlockwiseKeydown(e, originalInput))
+      this.handleSurroundKeydown(e, originalInput);
+  }
+
+  // Discord treats Ctrl+V as paste, so outside insert mode <C-v> (and its
+  // alias <C-q>) goes straight to Vim before Discord or Ace see the key
+  handleBlockwiseKeydown(e, originalInput) {
+    const { vimMode, mode } = this.aceEditors.get(originalInput) || {};
+    if (!vimMode || (mode !== "normal" && mode !== "visual")) return false;
+    if (!e.ctrlKey || e.altKey || e.metaKey || e.shiftKey) return false;
+
+    const key = e.key.toLowerCase();
+    if (key !== "v" && key !== "q") return false;
+
+    e.preventDefault();
+    e.stopPropagation();
+    vimMode.constructor.Vim.handleKey(vimMode, `<C-${key}>`, "user");
+    return true;
+  }
+
+  // Feed a key string to Vim as if typed, like Vim does for a mapping's rhs
+  runVimKeys(vimMode, keys) {
+    const Vim = vimMode.constructor.Vim;
+    const tokens = keys.match(VIM_KEY_PATTERN) || [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const vim = vimMode.state.vim;
+      const wasInsert = vim.insertMode;
+      const handled = Vim.handleKey(vimMode, tokens[i], "mapping");
+
+      if (!handled && wasInsert && vim.insertMode) {
+        this.insertVimKey(vimMode.ace, tokens[i]);
+        continue;
+      }
+
+      // ":" and "/" open a prompt, type the remaining keys into it
+      const prompt = vimMode.ace.container.querySelector(".ace_dialog input");
+      if (prompt) {
+        this.sendCommandLineKeys(
+          prompt,
+          vimMode,
+          tokens.slice(i + 1).join("")
+        );
+        return;
+      }
+    }
+  }
+
+  insertVimKey(editor, key) {
+    const lower = key.toLowerCase();
+    if (lower === "<bs>") editor.remove("left");
+    else if (lower === "<del>") editor.remove("right");
+    else if (lower === "<cr>" || lower === "<enter>") editor.insert("\n");
+    else if (lower === "<tab>") editor.indent();
+    else if (lower === "<left>") editor.navigateLeft();
+    else if (lower === "<right>") editor.navigateRight();
+    else if (lower === "<up>") editor.navigateUp();
+    else if (lower === "<down>") editor.navigateDown();
+    else if (lower === "<home>") editor.navigateLineStart();
+    else if (lower === "<end>") editor.navigateLineEnd();
+    else if (VIM_LITERAL_KEYS[lower]) editor.insert(VIM_LITERAL_KEYS[lower]);
+    else if (key.length === 1) editor.insert(key);
+    else this.log(`Unsupported key in insert mode mapping: ${key}`, "warn");
+  }
+
+  // Command-line mode mappings (cmap) for the Ex/search prompt
+  handleCommandLineKeydown(e, originalInput) {
+    const input = e.target;
+    if (
+      !e.isTrusted ||
+      input.tagName !== "INPUT" ||
+      !input.closest(".ace_dialog")
+    )
+      return;
+
+    const editorData = this.aceEditors.get(originalInput);
+    const Vim = editorData?.vimMode?.constructor.Vim;
+    const mappings = this.customMappings.filter(
+      (m) => m.mode === "commandLine" && m.from
+    );
+    if (!Vim || mappings.length === 0) return;
+
+    const key = Vim.vimKeyFromEvent(e);
+    if (!key) return;
+
+    const normalize = (k) => {
+      if (k.length === 1) return k;
+      return k.toLowerCase() === "<space>" ? " " : k.toLowerCase();
+    };
+    const candidates = mappings.map((mapping) => ({
+      mapping,
+      keys: (this.expandLeader(mapping.from).match(VIM_KEY_PATTERN) || []).map(
+        normalize
+      ),
+    }));
+    const findMatches = (keys) => ({
+      full: candidates.find(
+        (c) =>
+          c.keys.length === keys.length && keys.every((k, i) => c.keys[i] === k)
+      ),
+      partial: candidates.some(
+        (c) =>
+          c.keys.length > keys.length && keys.every((k, i) => c.keys[i] === k)
+      ),
+    });
+
+    const now = Date.now();
+    const pending = editorData.commandLineKeys;
+    const pendingKeys =
+      pending && pending.input === input && now - pending.lastTime < 1000
+        ? pending.keys
+        : [];
+
+    let keys = [...pendingKeys, normalize(key)];
+    let { full, partial } = findMatches(keys);
+    if (!full && !partial && pendingKeys.length > 0) {
+      keys = [normalize(key)];
+      ({ full, partial } = findMatches(keys));
+    }
+
+    if (!full) {
+      editorData.commandLineKeys = partial
+        ? { input, keys, lastTime: now }
+        : null;
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    editorData.commandLineKeys = null;
+
+    // The earlier keys of the sequence were already typed into the prompt
+    const end = input.selectionStart;
+    input.setRangeText("", Math.max(0, end - (keys.length - 1)), end, "end");
+    this.sendCommandLineKeys(
+      input,
+      editorData.vimMode,
+      this.expandLeader(full.mapping.to)
+    );
+    this.log(
+      `Command-line mapping: ${full.mapping.from} → ${full.mapping.to}`
+    );
+  }
+
+  sendCommandLineKeys(input, vimMode, keys) {
+    const tokens = keys.match(VIM_KEY_PATTERN) || [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const key = tokens[i];
+
+      // Once <CR> or <Esc> closed the prompt the rest goes to Vim
+      if (!input.isConnected) {
+        this.runVimKeys(vimMode, tokens.slice(i).join(""));
+        return;
+      }
+
+      const lower = key.toLowerCase();
+      const start = input.selectionStart;
+      const end = input.selectionEnd;
+
+      if (["<cr>", "<enter>", "<esc>"].includes(lower)) {
+        const isEscape = lower === "<esc>";
+        input.dispatchEvent(
+          new KeyboardEvent("keydown", {
+            key: isEscape ? "Escape" : "Enter",
+            keyCode: isEscape ? 27 : 13,
+            bubbles: true,
+          })
+        );
+      } else if (lower === "<bs>") {
+        input.setRangeText(
+          "",
+          start === end ? Math.max(0, start - 1) : start,
+          end,
+          "end"
+        );
+      } else if (lower === "<c-u>") {
+        input.setRangeText("", 0, end, "end");
+      } else if (lower === "<left>" || lower === "<right>") {
+        const pos = Math.min(
+          input.value.length,
+          Math.max(0, start + (lower === "<left>" ? -1 : 1))
+        );
+        input.setSelectionRange(pos, pos);
+      } else if (lower === "<home>") {
+        input.setSelectionRange(0, 0);
+      } else if (lower === "<end>") {
+        input.setSelectionRange(input.value.length, input.value.length);
+      } else if (key.length === 1 || VIM_LITERAL_KEYS[lower]) {
+        input.setRangeText(VIM_LITERAL_KEYS[lower] ?? key, start, end, "end");
+      } else {
+        this.log(`Unsupported key in command-line mapping: ${key}`, "warn");
+      }
     }
   }
 
-  handleKeySequence(e, editor, vimMode, keySequences) {
+  handleKeySequence(e, editorData) {
+    const { editor, vimMode, keySequences } = editorData;
     const now = Date.now();
     let matchedSequence = null;
 
-    for (const [keys, sequence] of keySequences.entries()) {
-      if (sequence.mode !== this.currentMode) continue;
+    for (const sequence of keySequences.values()) {
+      const { keys } = sequence;
+      if (sequence.mode !== editorData.mode) continue;
       const timeDiff = now - sequence.lastTime;
       if (timeDiff >= sequence.timeout) sequence.buffer = [];
       sequence.buffer.push(e.key);
@@ -1757,12 +5003,10 @@ module.exports = class VimMotionsPlugin {
         });
       }
 
-      if (sequence.action === "<Esc>" && vimMode) {
-        const vim = vimMode.constructor.Vim;
-        if (vim) {
-          vim.handleKey(vimMode, "<Esc>", null);
-          this.log(`Sequence "${keys}" → exit insert mode`);
-        }
+      if (vimMode) {
+        const Vim = vimMode.constructor.Vim;
+        Vim.handleKey(vimMode, sequence.plugKey, "mapping");
+        this.log(`Sequence "${keys}" → ${sequence.action}`);
       }
 
       for (const seq of keySequences.values()) {
@@ -1772,62 +5016,260 @@ module.exports = class VimMotionsPlugin {
       return true;
     }
 
-    for (const [keys, sequence] of keySequences.entries()) {
-      if (sequence.mode !== this.currentMode) continue;
+    for (const sequence of keySequences.values()) {
+      if (sequence.mode !== editorData.mode) continue;
       const bufferStr = sequence.buffer.join("");
-      if (keys.startsWith(bufferStr) && bufferStr.length > 0) return false;
+      if (sequence.keys.startsWith(bufferStr) && bufferStr.length > 0)
+        return false;
     }
 
     return false;
   }
 
-  handleEnterKey(e, editor, originalInput, vimMode) {
+  handleEnterKey(e, originalInput) {
+    const { mode } = this.aceEditors.get(originalInput);
     const isEditMode = this.isEditMode(originalInput);
 
-    const shouldSendInInsert =
-      this.config.sendInInsertMode && this.currentMode === "insert";
-    const shouldSendInNormal =
-      this.config.sendInNormalMode && this.currentMode !== "insert";
+    const shouldSendInInsert = this.config.sendInInsertMode && mode === "insert";
+    const shouldSendInNormal = this.config.sendInNormalMode && mode !== "insert";
 
     if (shouldSendInInsert || shouldSendInNormal) {
       e.preventDefault();
       e.stopPropagation();
 
-      const content = editor.getValue().trim();
-      if (!content) {
-        this.log("No content to send");
-        return;
+      if (this.writeEditor(originalInput)) {
+        this.log(
+          `Enter in ${mode} mode: message ${isEditMode ? "edited" : "sent"}`
+        );
       }
+    } else {
+      this.log(`Enter in ${mode} mode: new line`);
+    }
+  }
 
-      if (isEditMode) {
-        this.editMessage(content, e);
-        this.log(`Enter in ${this.currentMode} mode: message edited`);
+  // Send the buffer, or save it in an edit box. Shared by Enter and :w
+  writeEditor(originalInput) {
+    const { editor, vimMode } = this.aceEditors.get(originalInput);
+
+    const content = editor.getValue().trim();
+    const hasAttachments =
+      !this.isEditMode(originalInput) &&
+      this.attachments.get(this.getCurrentChannelId())?.length > 0;
+    if (!content && !hasAttachments) {
+      this.log("No content to send");
+      return false;
+    }
+
+    if (this.isEditMode(originalInput)) {
+      this.editMessage(content, originalInput);
+    } else {
+      const slashCommand = this.findSlashCommand(content);
+      if (slashCommand) {
+        // Keep the buffer so missing options can be filled in
+        if (!this.executeSlashCommand(slashCommand)) return false;
       } else {
         this.sendMessage(content);
-        editor.setValue("", -1);
-        try {
-          const vim = vimMode.constructor.Vim;
-          if (vim) vim.handleKey(vimMode, "i", null);
-        } catch (e) {}
-        this.log(`Enter in ${this.currentMode} mode: message sent`);
       }
-    } else {
-      this.log(`Enter in ${this.currentMode} mode: new line`);
+      editor.setValue("", -1);
+      try {
+        const vim = vimMode.constructor.Vim;
+        if (vim) vim.handleKey(vimMode, "i", null);
+      } catch (e) {}
+    }
+    return true;
+  }
+
+  // Clear the draft, or cancel the edit in an edit box. Used by :q and :q!
+  quitEditor(originalInput, force = false) {
+    const editorData = this.aceEditors.get(originalInput);
+    const { editor, vimMode } = editorData;
+
+    if (this.isEditMode(originalInput)) {
+      const modified = editor.getValue() !== (editorData.initialContent ?? "");
+      if (modified && !force) {
+        this.showVimMessage(
+          vimMode,
+          "E37: No write since last change (add ! to override)"
+        );
+        return;
+      }
+      this.cancelEdit(originalInput);
+      return;
+    }
+
+    editor.setValue("", -1);
+    this.clearDraft(this.getCurrentChannelId());
+    this.leaveEditor(originalInput);
+  }
+
+  cancelEdit(originalInput) {
+    try {
+      const message = this.getMessageFromElement(originalInput);
+      const channelId = message?.channel_id ?? this.getCurrentChannelId();
+      this.dcModules.MessageActions.endEditMessage(channelId);
+      this.log(`Cancelled edit in channel ${channelId}`);
+    } catch (e) {
+      this.log(`Failed to cancel edit: ${e.message}`, "error");
+    }
+  }
+
+  leaveEditor(originalInput) {
+    // Deferred so it runs after the Ex prompt has handed focus back
+    setTimeout(() => {
+      const editorData = this.aceEditors.get(originalInput);
+      if (!editorData) return;
+      editorData.editor.blur();
+      editorData.textarea?.blur();
+    }, 10);
+  }
+
+  registerExCommands(Vim) {
+    const withEditor = (handler) => (cm, params) => {
+      const originalInput = this.findInputForVimMode(cm);
+      if (originalInput) handler(originalInput, params);
+    };
+
+    Vim.defineEx(
+      "write",
+      "w",
+      withEditor((input) => this.writeEditor(input))
+    );
+    Vim.defineEx(
+      "wq",
+      "wq",
+      withEditor((input) => {
+        this.writeEditor(input);
+        this.leaveEditor(input);
+      })
+    );
+    Vim.defineEx(
+      "xit",
+      "x",
+      withEditor((input) => {
+        const editorData = this.aceEditors.get(input);
+        const content = editorData.editor.getValue();
+        if (!this.isEditMode(input)) {
+          this.writeEditor(input);
+          this.leaveEditor(input);
+        } else if (content !== (editorData.initialContent ?? "")) {
+          this.writeEditor(input);
+        } else {
+          this.cancelEdit(input);
+        }
+      })
+    );
+    Vim.defineEx(
+      "quit",
+      "q",
+      withEditor((input, params) =>
+        this.quitEditor(input, params.argString?.trim() === "!")
+      )
+    );
+    Vim.defineEx("set", "se", (cm, params) => this.setOptions(Vim, cm, params));
+    // Switch Vim off and on the same way the VIM button does. Deferred so
+    // the editor isn't destroyed while Vim is still running the command
+    Vim.defineEx("VimOff", "VimOff", () =>
+      setTimeout(() => this.setEnabledForCurrentChannel(false), 0)
+    );
+    Vim.defineEx("VimOn", "VimOn", () =>
+      setTimeout(() => this.setEnabledForCurrentChannel(true), 0)
+    );
+    Vim.defineEx("VimToggle", "VimToggle", () =>
+      setTimeout(() => this.toggleEnabledForCurrentChannel(), 0)
+    );
+    Vim.defineEx(
+      "attach",
+      "att",
+      withEditor((input, params) =>
+        this.attachFile(input, params.argString?.trim())
+      )
+    );
+  }
+
+  // :set takes several arguments like a vimrc line. Plugin options are saved
+  // to the config, the rest go to the Vim emulation's own options.
+  setOptions(Vim, cm, params) {
+    const config = { ...this.config };
+    const messages = [];
+
+    (params.args ?? []).forEach((arg) => {
+      const query = arg.match(/^(\w+)\?$/);
+      let option = VIMRC_OPTIONS[query?.[1]];
+      if (typeof option === "string") option = VIMRC_OPTIONS[option];
+      if (option) {
+        const value = config[option.key];
+        messages.push(
+          option.type === "boolean"
+            ? `${value ? "" : "no"}${query[1]}`
+            : `${query[1]}=${value}`
+        );
+        return;
+      }
+
+      const error = this.applyVimrcOption(config, arg);
+      if (error?.startsWith("E518")) {
+        const message = this.setVimOption(Vim, cm, arg);
+        if (message) messages.push(message);
+      } else if (error) {
+        messages.push(error);
+      }
+    });
+
+    if (Object.keys(config).some((key) => config[key] !== this.config[key]))
+      this.applyConfig(config, this.customMappings);
+    if (messages.length > 0) this.showVimMessage(cm, messages.join("  "));
+  }
+
+  // Options only the Vim emulation knows, like pcre. Returns what to show.
+  setVimOption(Vim, cm, arg) {
+    const [, no, name, query, value] =
+      arg.match(/^(no)?(\w+?)(\?)?(?:=(.*))?$/) || [];
+    const current = name && Vim.getOption(name, cm);
+    if (!name || current instanceof Error)
+      return `E518: Unknown option: ${arg}`;
+
+    const isBoolean = typeof current === "boolean" || current === undefined;
+    if (query || (!isBoolean && value === undefined))
+      return isBoolean ? `${current ? "" : "no"}${name}` : `${name}=${current}`;
+
+    const result = Vim.setOption(name, no ? false : value, cm);
+    return result instanceof Error ? result.message : null;
+  }
+
+  findInputForVimMode(cm) {
+    for (const [originalInput, editorData] of this.aceEditors.entries()) {
+      if (editorData.vimMode === cm || editorData.editor.state?.cm === cm) {
+        return originalInput;
+      }
     }
+    return null;
   }
 
-  setupVimModeHandlers(vimMode, editor, textarea) {
+  showVimMessage(vimMode, text) {
+    if (!vimMode?.openNotification) {
+      BdApi.UI.showToast(`[VimMotions] ${text}`, { type: "error" });
+      return;
+    }
+    const message = document.createElement("span");
+    message.textContent = text;
+    vimMode.openNotification(message, { bottom: true, duration: 5000 });
+  }
+
+  setupVimModeHandlers(vimMode, editor, textarea, originalInput) {
     if (!vimMode || !editor) return;
 
     vimMode.on("vim-mode-change", (data) => {
-      const previousMode = this.currentMode;
-      this.currentMode = data.mode;
+      const editorData = this.aceEditors.get(originalInput);
+      if (!editorData) return;
+
+      const previousMode = editorData.mode;
+      editorData.mode = data.mode;
       this.log(`Vim mode changed: ${data.mode}`);
 
       if (previousMode === "normal" && data.mode === "insert") {
-        this.justEnteredInsertMode = true;
+        editorData.justEnteredInsertMode = true;
         setTimeout(() => {
-          this.justEnteredInsertMode = false;
+          editorData.justEnteredInsertMode = false;
         }, 50);
       }
 
@@ -1836,11 +5278,17 @@ module.exports = class VimMotionsPlugin {
         editorDiv.classList.remove(
           "vim-insert-mode",
           "vim-normal-mode",
-          "vim-visual-mode"
+          "vim-visual-mode",
+          "vim-visual-charwise",
+          "vim-visual-linewise",
+          "vim-visual-blockwise"
         );
         if (data.mode === "insert") editorDiv.classList.add("vim-insert-mode");
         else if (data.mode === "visual")
-          editorDiv.classList.add("vim-visual-mode");
+          editorDiv.classList.add(
+            "vim-visual-mode",
+            `vim-visual-${data.subMode || "charwise"}`
+          );
         else editorDiv.classList.add("vim-normal-mode");
       }
 
@@ -1870,7 +5318,7 @@ module.exports = class VimMotionsPlugin {
     }, 100);
   }
 
-  handleEditorClick(editor, textarea, vimMode) {
+  handleEditorClick(editor, textarea, vimMode, originalInput) {
     try {
       editor.focus();
       textarea.focus();
@@ -1880,7 +5328,8 @@ module.exports = class VimMotionsPlugin {
         textarea.removeAttribute("disabled");
       }
       setTimeout(() => {
-        if (vimMode && this.currentMode !== "insert") {
+        const mode = this.aceEditors.get(originalInput)?.mode;
+        if (vimMode && mode !== "insert") {
           const vim = vimMode.constructor.Vim;
           if (vim) vim.handleKey(vimMode, "i", null);
         }
@@ -1890,6 +5339,71 @@ module.exports = class VimMotionsPlugin {
     }
   }
 
+  setupStatusLine(editor, vimMode, originalInput) {
+    const statusLine = this.aceEditors.get(originalInput)?.statusLine;
+    if (!statusLine) return;
+
+    const update = () => this.updateStatusLine(editor, vimMode, statusLine);
+    editor.on("changeStatus", update);
+    editor.selection.on("changeCursor", update);
+    vimMode.on("vim-mode-change", update);
+    update();
+  }
+
+  updateStatusLine(editor, vimMode, statusLine) {
+    if (!this.config.showStatusLine) {
+      statusLine.style.display = "none";
+      return;
+    }
+    statusLine.style.display = "";
+
+    try {
+      const vim = vimMode.state.vim;
+      if (!vim) return;
+
+      let mode = "";
+      if (this.messageMode?.editor === editor) {
+        mode = "-- MESSAGES --";
+      } else if (vim.insertMode) {
+        mode = vimMode.state.overwrite ? "-- REPLACE --" : "-- INSERT --";
+      } else if (vim.visualMode) {
+        mode = vim.visualBlock
+          ? "-- VISUAL BLOCK --"
+          : vim.visualLine
+          ? "-- VISUAL LINE --"
+          : "-- VISUAL --";
+      }
+
+      const registerName = vim.inputState?.registerName;
+      const macroState = vimMode.constructor.Vim?.getVimGlobalState_()
+        ?.macroModeState;
+      const recording = macroState?.isRecording
+        ? `recording @${macroState.latestRegister}`
+        : "";
+      const cursor = editor.getCursorPosition();
+
+      const parts = [
+        ["vim-status-mode", mode],
+        ["vim-status-recording", recording],
+        ["vim-status-spacer", ""],
+        ["vim-status-register", registerName ? `"${registerName}` : ""],
+        ["vim-status-pending", vim.status || ""],
+        ["vim-status-position", `${cursor.row + 1},${cursor.column + 1}`],
+      ];
+
+      statusLine.replaceChildren(
+        ...parts.map(([className, text]) => {
+          const span = document.createElement("span");
+          span.className = className;
+          span.textContent = text;
+          return span;
+        })
+      );
+    } catch (e) {
+      this.log(`Error updating status line: ${e.message}`, "warn");
+    }
+  }
+
   applyEditorSettings(editor, originalInput) {
     const fontSize = this.config?.fontSize || 14;
     const fontFamily = this.config?.fontFamily || "Consolas";
@@ -1898,30 +5412,32 @@ module.exports = class VimMotionsPlugin {
     const highlightActiveLine = this.config?.highlightActiveLine ?? false;
 
     editor.setOptions({
-      theme: `ace/theme/dracula`,
       fontSize: fontSize,
       fontFamily: fontFamily,
       showPrintMargin: false,
       highlightActiveLine: highlightActiveLine,
-      showLineNumbers: false,
-      showGutter: false,
+      showFoldWidgets: false,
       displayIndentGuides: false,
-      wrap: true,
+      wrap: this.config?.wrap ?? true,
       indentedSoftWrap: false,
       scrollPastEnd: 0,
       hScrollBarAlwaysVisible: false,
       vScrollBarAlwaysVisible: false,
       readOnly: false,
       highlightSelectedWord: false,
-      enableBasicAutocompletion: true,
-      enableLiveAutocompletion: false,
       animatedScroll: false,
-      useSoftTabs: true,
-      tabSize: 2,
+      useSoftTabs: this.config?.expandTab ?? true,
+      tabSize: this.config?.tabSize || 2,
       copyWithEmptySelection: true,
     });
 
-    editor.renderer.setShowGutter(false);
+    editor.session.setUseWorker(false);
+    this.setEditorMode(editor);
+    this.setupCompletion(editor);
+
+    editor.renderer.setTheme(this.getEditorTheme());
+    editor.session.gutterRenderer = this.getGutterRenderer();
+    this.updateGutter(editor);
     editor.renderer.setScrollMargin(8, 8, 0, 0);
 
     const cursorColor = this.config?.cursorColor || "#ffffff";
@@ -1930,27 +5446,32 @@ module.exports = class VimMotionsPlugin {
     setTimeout(() => {
       const editorElement = editor.container;
       if (!editorElement) return;
-      editorElement.style.setProperty("--ace-background", backgroundColor);
-      editorElement.style.setProperty("--ace-foreground", fontColor);
+
+      // Themes bring their own colors, empty values clear the inline ones
+      const customColors = this.usesCustomColors();
+      const background = customColors ? backgroundColor : "";
+      const foreground = customColors ? fontColor : "";
+
+      editorElement.style.setProperty("--ace-background", background);
+      editorElement.style.setProperty("--ace-foreground", foreground);
       editorElement.style.setProperty("--ace-cursor-color", cursorColor);
 
       const styleElement = editorElement.querySelector(".ace_editor");
       if (styleElement) {
-        styleElement.style.backgroundColor = backgroundColor;
-        styleElement.style.color = fontColor;
+        styleElement.style.backgroundColor = background;
+        styleElement.style.color = foreground;
       }
       const contentElement = editorElement.querySelector(".ace_scroller");
-      if (contentElement)
-        contentElement.style.backgroundColor = backgroundColor;
+      if (contentElement) contentElement.style.backgroundColor = background;
 
       const textLayer = editorElement.querySelector(".ace_text-layer");
       if (textLayer) {
-        textLayer.style.color = fontColor;
+        textLayer.style.color = foreground;
         const lines = textLayer.querySelectorAll(".ace_line");
         lines.forEach((line) => {
-          line.style.color = fontColor;
+          line.style.color = foreground;
           const spans = line.querySelectorAll("span");
-          spans.forEach((span) => (span.style.color = fontColor));
+          spans.forEach((span) => (span.style.color = foreground));
         });
       }
     }, 10);
@@ -1964,7 +5485,9 @@ module.exports = class VimMotionsPlugin {
 
     const updateHeight = () => {
       try {
-        editor.renderer.updateFull();
+        // Render now so lines rewrap to a new gutter width before measuring
+        this.updateGutter(editor);
+        editor.renderer.updateFull(true);
         const lineHeight = editor.renderer.lineHeight || 20;
         const screenRows = editor.session.getScreenLength();
         const hasMultipleLines = screenRows > 1;
@@ -1981,77 +5504,706 @@ module.exports = class VimMotionsPlugin {
         editor.container.style.height = `${newHeight}px`;
         if (aceContent)
           aceContent.style.paddingBottom = hasMultipleLines ? "10px" : "0px";
-        if (discordTextArea) discordTextArea.style.height = `${newHeight}px`;
-        if (channelTextArea) channelTextArea.style.minHeight = `${newHeight}px`;
+        // Leave room for the attachments and status line below the editor
+        const wrapper = editor.container.parentElement;
+        const statusLine = wrapper?.querySelector(".vim-status-line");
+        const attachmentList = wrapper?.querySelector(".vim-attachments");
+        const wrapperHeight =
+          newHeight +
+          (statusLine?.offsetHeight || 0) +
+          (attachmentList?.offsetHeight || 0);
+        if (discordTextArea)
+          discordTextArea.style.height = `${wrapperHeight}px`;
+        if (channelTextArea)
+          channelTextArea.style.minHeight = `${wrapperHeight}px`;
         editor.resize(true);
       } catch (e) {}
     };
 
-    // Optimize: Cache the isEditMode result and channelId since they don't change per editor instance
-    const cachedIsEditMode = this.isEditMode(originalInput);
-    const cachedChannelId = !cachedIsEditMode
+    // Optimize: Cache the isEditMode result and channelId since they don't change per editor instance
+    const cachedIsEditMode = this.isEditMode(originalInput);
+    const cachedChannelId = !cachedIsEditMode
+      ? this.getCurrentChannelId()
+      : null;
+
+    editor.session.on("change", () => {
+      setTimeout(updateHeight, 10);
+      this.loadFenceLanguages(editor);
+
+      // Update draft cache for current channel (only for main chat input, not edit mode)
+      if (cachedChannelId && !cachedIsEditMode) {
+        try {
+          this.draftCache.set(cachedChannelId, editor.getValue());
+        } catch (e) {
+          // Silent fail - cache update is not critical
+        }
+      }
+    });
+    // Signalled when the attachment list under the editor changes
+    editor.on("vimMotionsLayout", () => setTimeout(updateHeight, 10));
+    setTimeout(updateHeight, 100);
+  }
+
+  // Vim's number and relativenumber: with both set the cursor line shows its
+  // absolute number, with only relativenumber it shows 0
+  getGutterRenderer() {
+    const { number, relativeNumber } = this.config;
+    return {
+      getText: (session, row) => {
+        const cursorRow = session.selection.lead.row;
+        if (!relativeNumber || (number && row === cursorRow))
+          return number ? `${row + 1}` : "";
+        return `${Math.abs(cursorRow - row)}`;
+      },
+      getWidth: (session, lastLineNumber, config) =>
+        number || relativeNumber
+          ? Math.max(`${lastLineNumber}`.length, 2) * config.characterWidth
+          : 0,
+    };
+  }
+
+  // signcolumn=auto only shows the gutter once the message is long enough
+  // for line counts to matter
+  updateGutter(editor) {
+    const { number, relativeNumber, signColumn, gutterMinLines } = this.config;
+    const show =
+      signColumn === "yes" ||
+      (signColumn === "auto" &&
+        (number || relativeNumber) &&
+        editor.session.getLength() > gutterMinLines);
+    if (editor.renderer.getShowGutter() !== show)
+      editor.renderer.setShowGutter(show);
+  }
+
+  setEditorMode(editor) {
+    if (!this.config?.syntaxHighlighting) {
+      editor.session.setMode("ace/mode/text");
+      return;
+    }
+
+    try {
+      const { Mode } = window.ace.require("ace/mode/discord_markdown");
+      editor.session.setMode(new Mode({ ...this.fenceModes }));
+      this.loadFenceLanguages(editor);
+    } catch (e) {
+      this.log(`Error setting editor mode: ${e.message}`, "warn");
+    }
+  }
+
+  // Load the Ace modes for the ``` fence languages in the buffer, then
+  // rebuild the markdown mode of every editor to embed them
+  loadFenceLanguages(editor) {
+    if (!this.config?.syntaxHighlighting) return;
+
+    const fencePattern = /^\s*```([\w+#.-]+)\s*$/gm;
+    for (const [, tag] of editor.getValue().matchAll(fencePattern)) {
+      // Own keys only, so a fence tagged "constructor" isn't a language
+      const key = tag.toLowerCase();
+      const name = Object.hasOwn(FENCE_LANGUAGES, key)
+        ? FENCE_LANGUAGES[key]
+        : null;
+      if (!name || this.fenceModes[name] || this.loadingFenceModes.has(name))
+        continue;
+
+      this.loadingFenceModes.add(name);
+      try {
+        window.ace.config.loadModule(["mode", `ace/mode/${name}`], (module) => {
+          this.loadingFenceModes.delete(name);
+          if (!module?.Mode) return;
+          this.fenceModes[name] = module.Mode;
+          this.aceEditors.forEach(({ editor }) => this.setEditorMode(editor));
+        });
+      } catch (e) {
+        this.loadingFenceModes.delete(name);
+        this.log(`Error loading ${name} mode: ${e.message}`, "warn");
+      }
+    }
+  }
+
+  // Autocompletion
+
+  setupCompletion(editor) {
+    try {
+      window.ace.config.loadModule("ace/ext/language_tools", () => {
+        if (editor._destroyed) return;
+        editor.completers = [this.getDiscordCompleter()];
+        editor.setOptions({
+          enableBasicAutocompletion: true,
+          enableLiveAutocompletion: true,
+        });
+      });
+    } catch (e) {
+      this.log(`Error setting up autocompletion: ${e.message}`, "warn");
+    }
+  }
+
+  getDiscordCompleter() {
+    return {
+      id: "discord",
+      // Mention tokens count as one word so Ace hands over e.g. "<@&mod"
+      identifierRegexps: [/[\w.\-<@#:&/]/],
+      triggerCharacters: ["@", "#", ":", "/"],
+      getCompletions: (editor, session, pos, prefix, callback) => {
+        try {
+          if (prefix.startsWith("/")) {
+            // Slash commands only at the very start of the message
+            const atStart = pos.row === 0 && pos.column === prefix.length;
+            callback(null, atStart ? this.getSlashCompletions(prefix) : []);
+            return;
+          }
+          callback(null, this.getDiscordCompletions(prefix));
+        } catch (e) {
+          this.log(`Error getting completions: ${e.message}`, "warn");
+          callback(null, []);
+        }
+      },
+    };
+  }
+
+  // Suggestions for "@user", "<@&role", "#channel" and ":emoji" prefixes,
+  // each inserting the raw token Discord expects
+  getDiscordCompletions(prefix) {
+    const match = prefix.match(/^(<@&|@|#|:)([\w.-]*)$/);
+    if (!match) return [];
+    const [, trigger, query] = match;
+    if (trigger === ":" && query.length < 2) return [];
+
+    const channel = this.dcModules.ChannelStore?.getChannel(
+      this.getCurrentChannelId()
+    );
+    if (!channel) return [];
+
+    const matches = (name) =>
+      name && name.toLowerCase().includes(query.toLowerCase());
+    const completions = [];
+    const add = (caption, value, meta) => {
+      if (completions.length < 100)
+        completions.push({ caption, value, meta, score: -completions.length });
+    };
+
+    if (trigger === "@") {
+      this.getChannelUsers(channel).forEach(({ user, nick }) => {
+        const names = new Set([nick, user.globalName, user.username]);
+        names.forEach((name) => {
+          if (matches(name)) add(`@${name}`, `<@${user.id}>`, user.username);
+        });
+      });
+      ["everyone", "here"].forEach((name) => {
+        if (channel.guild_id && matches(name)) add(`@${name}`, `@${name}`);
+      });
+    }
+
+    if (trigger === "@" || trigger === "<@&") {
+      this.getGuildRoles(channel.guild_id).forEach((role) => {
+        if (role.id === channel.guild_id || !matches(role.name)) return;
+        add(`${trigger}${role.name}`, `<@&${role.id}>`, "role");
+      });
+    }
+
+    if (trigger === "#" && channel.guild_id) {
+      const channels =
+        this.dcModules.ChannelStore.getMutableGuildChannelsForGuild?.(
+          channel.guild_id
+        ) ?? {};
+      // Skip categories
+      Object.values(channels).forEach((guildChannel) => {
+        if (guildChannel.type !== 4 && matches(guildChannel.name))
+          add(`#${guildChannel.name}`, `<#${guildChannel.id}>`, "channel");
+      });
+    }
+
+    if (trigger === ":") {
+      const guildEmoji = channel.guild_id
+        ? this.dcModules.EmojiStore?.getGuildEmoji(channel.guild_id) ?? []
+        : [];
+      guildEmoji.forEach((emoji) => {
+        if (emoji.available === false || !matches(emoji.name)) return;
+        const animated = emoji.animated ? "a" : "";
+        const token = `<${animated}:${emoji.name}:${emoji.id}>`;
+        add(`:${emoji.name}:`, token, "emoji");
+      });
+      (this.dcModules.UnicodeEmojis?.all?.() ?? []).forEach((emoji) => {
+        if (matches(emoji.uniqueName))
+          add(`:${emoji.uniqueName}:`, emoji.surrogates, emoji.surrogates);
+      });
+    }
+
+    return completions;
+  }
+
+  // Members of the channel's guild, or the recipients of a DM
+  getChannelUsers(channel) {
+    const { UserStore, GuildMemberStore } = this.dcModules;
+
+    if (!channel.guild_id) {
+      return (channel.recipients ?? [])
+        .map((id) => ({ user: UserStore?.getUser(id), nick: null }))
+        .filter(({ user }) => user);
+    }
+
+    return (GuildMemberStore?.getMembers(channel.guild_id) ?? [])
+      .map((member) => ({
+        user: UserStore?.getUser(member.userId),
+        nick: member.nick,
+      }))
+      .filter(({ user }) => user);
+  }
+
+  getGuildRoles(guildId) {
+    if (!guildId) return [];
+    const { GuildRoleStore, GuildStore } = this.dcModules;
+    const roles =
+      GuildRoleStore?.getRolesSnapshot?.(guildId) ??
+      GuildStore?.getRoles?.(guildId) ??
+      GuildStore?.getGuild(guildId)?.roles ??
+      {};
+    return Object.values(roles);
+  }
+
+  // Keys for an open completion popup, handled before Vim sees them
+  handleCompletionKeydown(e, originalInput) {
+    const completer = this.aceEditors.get(originalInput)?.editor?.completer;
+    if (!completer?.activated || e.altKey || e.metaKey) return false;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key === "Escape") {
+      // Close the popup and let Vim leave insert mode as usual
+      completer.detach();
+      return false;
+    }
+
+    if (!e.ctrlKey && (key === "Tab" || key === "Enter"))
+      completer.insertMatch();
+    else if (e.ctrlKey && key === "n") completer.goTo("down");
+    else if (e.ctrlKey && key === "p") completer.goTo("up");
+    else return false;
+
+    e.preventDefault();
+    e.stopPropagation();
+    return true;
+  }
+
+  // Slash commands
+
+  // Application commands usable in the channel, including Discord's
+  // built-in ones, with the name of the app providing them
+  getSlashCommands(channel) {
+    const { ApplicationCommandIndexStore, BuiltInCommands } = this.dcModules;
+    const states = [
+      ApplicationCommandIndexStore?.getContextState?.(channel),
+      ApplicationCommandIndexStore?.getUserState?.(),
+    ];
+
+    const commands = new Map();
+    states.forEach((state) => {
+      Object.values(state?.result?.sections ?? {}).forEach((section) => {
+        Object.values(section.commands ?? {}).forEach((command) => {
+          const name = this.getSlashCommandName(command);
+          if (!commands.has(name))
+            commands.set(name, { command, app: section.descriptor?.name });
+        });
+      });
+    });
+    (BuiltInCommands ?? []).forEach((command) => {
+      const name = this.getSlashCommandName(command);
+      if (!commands.has(name)) commands.set(name, { command, app: "Discord" });
+    });
+    return [...commands.values()];
+  }
+
+  // Subcommands are indexed with their full name, e.g. "role add"
+  getSlashCommandName(command) {
+    return command.displayName ?? command.untranslatedName ?? command.name;
+  }
+
+  // Commands as snippets, required options become tab stops to fill in
+  getSlashCompletions(prefix) {
+    const channel = this.dcModules.ChannelStore?.getChannel(
+      this.getCurrentChannelId()
+    );
+    if (!channel) return [];
+
+    const query = prefix.slice(1).toLowerCase();
+    return this.getSlashCommands(channel)
+      .filter(({ command }) =>
+        this.getSlashCommandName(command).toLowerCase().startsWith(query)
+      )
+      .slice(0, 100)
+      .map(({ command, app }, index) => {
+        const name = this.getSlashCommandName(command);
+        const fields = (command.options ?? [])
+          .filter((option) => option.required)
+          .map((option, i) => ` ${option.name}:\${${i + 1}:${option.name}}`);
+        return {
+          caption: `/${name}`,
+          snippet: `/${name}${fields.join("")}`,
+          meta: app,
+          docText: command.description,
+          score: -index,
+        };
+      });
+  }
+
+  // Match "/name option:value ..." against the known commands, preferring
+  // the longest name so subcommands win over their parent
+  findSlashCommand(content) {
+    if (!content.startsWith("/")) return null;
+    const channel = this.dcModules.ChannelStore?.getChannel(
+      this.getCurrentChannelId()
+    );
+    if (!channel) return null;
+
+    const text = content.slice(1);
+    let match = null;
+    this.getSlashCommands(channel).forEach(({ command }) => {
+      const name = this.getSlashCommandName(command);
+      if (text !== name && !text.startsWith(`${name} `)) return;
+      if (!match || name.length > match.name.length) match = { name, command };
+    });
+    if (!match) return null;
+
+    return {
+      ...match,
+      channel,
+      options: this.parseSlashOptions(
+        match.command,
+        text.slice(match.name.length)
+      ),
+    };
+  }
+
+  // "a:1 b:two words" -> { a: "1", b: "two words" }
+  parseSlashOptions(command, text) {
+    const options = command.options ?? [];
+    const values = {};
+    if (!options.length || !text.trim()) return values;
+
+    const names = options.map((option) => option.name).join("|");
+    const matches = [
+      ...text.matchAll(new RegExp(`(?:^|\\s)(${names}):`, "g")),
+    ];
+    matches.forEach((match, i) => {
+      const end = matches[i + 1]?.index ?? text.length;
+      const value = text.slice(match.index + match[0].length, end).trim();
+      if (value) values[match[1]] = value;
+    });
+
+    // A lone option can be given without its name, like "/shrug hello"
+    if (!matches.length && options.length === 1)
+      values[options[0].name] = text.trim();
+    return values;
+  }
+
+  // Option text as the rich value nodes Discord's command input produces
+  toSlashOptionValue(value) {
+    return value
+      .split(/(<@!?\d+>|<@&\d+>|<#\d+>)/)
+      .filter(Boolean)
+      .map((part) => {
+        const [, kind, id] = part.match(/^<(@!?|@&|#)(\d+)>$/) ?? [];
+        if (kind === "@&") return { type: "roleMention", roleId: id };
+        if (kind === "#") return { type: "channelMention", channelId: id };
+        if (kind) return { type: "userMention", userId: id };
+        return { type: "text", text: part };
+      });
+  }
+
+  // Run a command through Discord's own execution path, returns false
+  // when it could not be run and the buffer should be kept
+  executeSlashCommand({ name, command, channel, options }) {
+    const missing = (command.options ?? []).find(
+      (option) => option.required && !options[option.name]
+    );
+    if (missing) {
+      BdApi.UI.showToast(`Missing option "${missing.name}" for /${name}`, {
+        type: "error",
+      });
+      return false;
+    }
+
+    const { executeCommand, GuildStore } = this.dcModules;
+    const context = { channel, guild: GuildStore?.getGuild(channel.guild_id) };
+    const fail = (e) => {
+      this.log(`Error running /${name}: ${e.message}`, "error");
+      BdApi.UI.showToast(`Failed to run /${name}`, { type: "error" });
+    };
+
+    try {
+      if (executeCommand) {
+        const optionValues = Object.fromEntries(
+          Object.entries(options).map(([key, value]) => [
+            key,
+            this.toSlashOptionValue(value),
+          ])
+        );
+        Promise.resolve(
+          executeCommand({ command, optionValues, context })
+        ).catch(fail);
+      } else if (command.execute) {
+        // Built-in commands return the message to send
+        const args = Object.entries(options).map(([key, value]) => ({
+          name: key,
+          value,
+        }));
+        Promise.resolve(command.execute(args, context))
+          .then((result) => result?.content && this.sendMessage(result.content))
+          .catch(fail);
+      } else {
+        throw new Error("Discord's command executor was not found");
+      }
+    } catch (e) {
+      fail(e);
+      return false;
+    }
+
+    this.clearDraft(channel.id);
+    this.log(`Executed /${name}`);
+    return true;
+  }
+
+  // Attachments
+
+  // Pasted images and dropped files on the editor are queued for upload
+  handleAttachmentEvent(e, originalInput) {
+    if (this.isEditMode(originalInput)) return;
+
+    if (e.type === "dragover") {
+      if (!e.dataTransfer?.types?.includes("Files")) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = "copy";
+      return;
+    }
+
+    const data = e.type === "paste" ? e.clipboardData : e.dataTransfer;
+    const files = [...(data?.files ?? [])];
+    if (!files.length) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    this.addAttachments(files);
+    this.aceEditors.get(originalInput)?.editor.focus();
+  }
+
+  // :attach <path>, read without blocking Discord on large files
+  async attachFile(originalInput, filePath) {
+    const { vimMode } = this.aceEditors.get(originalInput);
+    if (this.isEditMode(originalInput)) {
+      this.showVimMessage(vimMode, "Attachments can't be added to an edit");
+      return;
+    }
+    if (!filePath) {
+      this.showVimMessage(vimMode, "E471: Argument required");
+      return;
+    }
+
+    // Queue for the channel the command ran in, even if it changes meanwhile
+    const channelId = this.getCurrentChannelId();
+    try {
+      const fs = require("fs");
+      const path = require("path");
+      const home = process.env.HOME ?? process.env.USERPROFILE;
+      const resolved = home
+        ? filePath.replace(/^~(?=$|[\\/])/, home)
+        : filePath;
+      // BetterDiscord's fs has no fs.promises, only the callback API
+      const data = await new Promise((resolve, reject) =>
+        fs.readFile(resolved, (err, result) =>
+          err ? reject(err) : resolve(result)
+        )
+      );
+      this.addAttachments(
+        [new File([data], path.basename(resolved))],
+        channelId
+      );
+    } catch (e) {
+      this.log(`Failed to read ${filePath}: ${e.message}`, "warn");
+      this.showVimMessage(vimMode, `E484: Can't open file ${filePath}`);
+    }
+  }
+
+  addAttachments(files, channelId = this.getCurrentChannelId()) {
+    if (!channelId) return;
+
+    const queued = this.attachments.get(channelId) ?? [];
+    this.attachments.set(channelId, [...queued, ...files]);
+    this.log(`Queued ${files.length} attachment(s) for channel ${channelId}`);
+    this.renderAttachmentLists();
+  }
+
+  removeAttachment(channelId, file) {
+    const queued = this.attachments.get(channelId) ?? [];
+    const remaining = queued.filter((queuedFile) => queuedFile !== file);
+    if (remaining.length) this.attachments.set(channelId, remaining);
+    else this.attachments.delete(channelId);
+    this.renderAttachmentLists();
+  }
+
+  renderAttachmentLists() {
+    this.aceEditors.forEach((_, originalInput) =>
+      this.renderAttachmentList(originalInput)
+    );
+  }
+
+  renderAttachmentList(originalInput) {
+    const editorData = this.aceEditors.get(originalInput);
+    const list = editorData?.attachmentList;
+    if (!list) return;
+
+    const channelId = !this.isEditMode(originalInput)
       ? this.getCurrentChannelId()
       : null;
+    const files = this.attachments.get(channelId) ?? [];
+
+    list.replaceChildren(
+      ...files.map((file) => {
+        const item = document.createElement("span");
+        item.className = "vim-attachment";
+
+        const name = document.createElement("span");
+        name.textContent = file.name;
+        const size = document.createElement("span");
+        size.className = "vim-attachment-size";
+        size.textContent = this.formatFileSize(file.size);
+
+        const remove = document.createElement("button");
+        remove.className = "vim-attachment-remove";
+        remove.textContent = "×";
+        remove.title = "Remove attachment";
+        // The channel may have changed since this list was rendered
+        remove.addEventListener("click", () =>
+          this.removeAttachment(this.getCurrentChannelId(), file)
+        );
 
-    editor.session.on("change", () => {
-      setTimeout(updateHeight, 10);
+        item.append(name, size, remove);
+        return item;
+      })
+    );
+    list.style.display = files.length ? "" : "none";
+    editorData.editor._signal("vimMotionsLayout");
+  }
 
-      // Update draft cache for current channel (only for main chat input, not edit mode)
-      if (cachedChannelId && !cachedIsEditMode) {
-        try {
-          this.draftCache.set(cachedChannelId, editor.getValue());
-        } catch (e) {
-          // Silent fail - cache update is not critical
-        }
-      }
+  formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Upload files through Discord's uploader with the message as their text
+  uploadFiles(channelId, message, files, options = {}) {
+    const { UploadActions, CloudUpload } = this.dcModules;
+    if (!UploadActions?.uploadFiles || !CloudUpload) {
+      throw new Error("Discord's file uploader was not found");
+    }
+
+    UploadActions.uploadFiles({
+      channelId,
+      uploads: files.map(
+        (file) => new CloudUpload({ file, platform: 1 }, channelId)
+      ),
+      draftType: 0,
+      parsedMessage: { ...message, tts: false },
+      options,
     });
-    setTimeout(updateHeight, 100);
   }
 
   sendMessage(content) {
     try {
+      const channelId = this.getCurrentChannelId();
+      const files = this.attachments.get(channelId) ?? [];
+
       // Validate content
-      if (!content || !content.trim()) {
+      if ((!content || !content.trim()) && !files.length) {
         this.log("No content to send");
         return;
       }
 
-      const channelId = this.getCurrentChannelId();
       this.log(
         `Attempting to send message to channel ${channelId}: "${content}"`
       );
 
-      // Send message
-      this.dcModules.MessageActions.sendMessage(
-        channelId,
-        {
-          content: content.trim(),
-          invalidEmojis: [],
-          validNonShortcutEmojis: [],
-        },
-        undefined,
-        {}
-      );
-      this.log("Message sent successfully");
+      const message = {
+        content: (content || "").trim(),
+        invalidEmojis: [],
+        validNonShortcutEmojis: [],
+      };
 
-      // Clear draft and cache
-      if (!channelId || !this.dcModules.DraftActions) return;
+      const pendingReply =
+        this.dcModules.PendingReplyStore?.getPendingReply(channelId);
+      const options = this.getReplyOptions(pendingReply);
 
-      try {
-        this.dcModules.DraftActions.clearDraft(channelId, 0);
-        this.draftCache.delete(channelId);
-        this.lastProcessedDraft.delete(channelId);
-        this.log(`Cleared draft for channel ${channelId}`);
-      } catch (e) {
-        this.log(`Failed to clear draft: ${e.message}`, "warn");
+      // Send message, or upload the queued files with it as their text
+      if (files.length) {
+        this.uploadFiles(channelId, message, files, options);
+        this.attachments.delete(channelId);
+        this.renderAttachmentLists();
+      } else {
+        this.dcModules.MessageActions.sendMessage(
+          channelId,
+          message,
+          undefined,
+          options
+        );
       }
+      this.log("Message sent successfully");
+
+      if (pendingReply) this.clearPendingReply(channelId);
+
+      this.clearDraft(channelId);
     } catch (error) {
       this.log(`Error sending message: ${error.message}`, "error");
       console.error("[VimMotions] Full error:", error);
     }
   }
 
-  editMessage(content, e) {
+  // Message reference and allowed mentions for a reply from the reply bar,
+  // honoring its mention toggle
+  getReplyOptions(pendingReply) {
+    if (!pendingReply) return {};
+
+    const { ReplyUtils } = this.dcModules;
+    if (ReplyUtils?.getSendMessageOptionsForReply)
+      return ReplyUtils.getSendMessageOptionsForReply(pendingReply) ?? {};
+
+    const { message, channel, shouldMention } = pendingReply;
+    return {
+      messageReference: {
+        guild_id: channel.guild_id ?? undefined,
+        channel_id: channel.id,
+        message_id: message.id,
+      },
+      allowedMentions: shouldMention
+        ? undefined
+        : { parse: ["users", "roles", "everyone"], replied_user: false },
+    };
+  }
+
+  clearPendingReply(channelId) {
+    if (!channelId) return;
+    try {
+      if (!this.dcModules.PendingReplyStore?.getPendingReply(channelId)) return;
+      Dispatcher.dispatch({ type: "DELETE_PENDING_REPLY", channelId });
+      this.log(`Cleared pending reply for channel ${channelId}`);
+    } catch (e) {
+      this.log(`Failed to clear pending reply: ${e.message}`, "warn");
+    }
+  }
+
+  // Clear draft and cache
+  clearDraft(channelId) {
+    if (!channelId || !this.dcModules.DraftActions) return;
+
+    try {
+      this.dcModules.DraftActions.clearDraft(channelId, 0);
+      this.draftCache.delete(channelId);
+      this.lastProcessedDraft.delete(channelId);
+      this.log(`Cleared draft for channel ${channelId}`);
+    } catch (e) {
+      this.log(`Failed to clear draft: ${e.message}`, "warn");
+    }
+  }
+
+  editMessage(content, element) {
     try {
       // Validate and normalize content
       if (typeof content !== "string") {
@@ -2063,35 +6215,8 @@ module.exports = class VimMotionsPlugin {
       content = content.replace(/\r\n/g, "\n");
       content = content.replace(/[\uFEFF\u200B\u200C\u200D]/g, "");
 
-      // Find message element
-      const messageDiv = e?.target?.closest
-        ? e.target.closest("li > [class^=message]")
-        : null;
-
-      if (!messageDiv) {
-        this.log("Cannot find message element", "error");
-        return;
-      }
-
-      // Get React instance
-      const instance = BdApi.ReactUtils.getInternalInstance(messageDiv);
-      if (!instance) {
-        this.log("Cannot find React instance for message", "error");
-        return;
-      }
-
-      // Find message data in React tree
-      const walkable = ["child", "memoizedProps", "sibling"];
-      const messageObj =
-        BdApi.Utils.findInTree(instance, (m) => m?.baseMessage, { walkable })
-          ?.baseMessage ??
-        BdApi.Utils.findInTree(instance, (m) => m?.message, { walkable })
-          ?.message;
-
-      if (!messageObj) {
-        this.log("Cannot find message data in React tree", "error");
-        return;
-      }
+      const messageObj = this.getMessageFromElement(element);
+      if (!messageObj) return;
 
       // Validate message and channel IDs
       const messageId = messageObj.id;
@@ -2120,6 +6245,538 @@ module.exports = class VimMotionsPlugin {
     }
   }
 
+  // Message list mode
+
+  enterMessageMode(originalInput) {
+    const editorData = this.aceEditors.get(originalInput);
+    if (!editorData) return;
+
+    const items = this.getMessageElements();
+    if (items.length === 0) {
+      this.showVimMessage(editorData.vimMode, "No messages to select");
+      return;
+    }
+
+    this.exitMessageMode(false);
+    const listener = (e) => this.handleMessageModeKeydown(e);
+    // Clicking into the search box or any other input gives it the keyboard
+    const focusListener = (e) => {
+      if (this.isTypingTarget(e.target)) this.exitMessageMode(false);
+    };
+    this.messageMode = {
+      originalInput,
+      editor: editorData.editor,
+      listener,
+      focusListener,
+      selectedId: null,
+      index: items.length - 1,
+      pending: "",
+      count: "",
+      register: null,
+      suspended: false,
+    };
+    document.addEventListener("keydown", listener, true);
+    document.addEventListener("focusin", focusListener, true);
+
+    editorData.editor.blur();
+    editorData.textarea?.blur();
+    this.selectMessage(items.length - 1);
+    this.refreshStatusLine(originalInput);
+    this.log("Entered message list mode");
+  }
+
+  exitMessageMode(focusEditor = true) {
+    const state = this.messageMode;
+    if (!state) return;
+
+    document.removeEventListener("keydown", state.listener, true);
+    document.removeEventListener("focusin", state.focusListener, true);
+    document
+      .querySelectorAll(".vim-message-selected")
+      .forEach((el) => el.classList.remove("vim-message-selected"));
+    this.messageMode = null;
+
+    this.refreshStatusLine(state.originalInput);
+    if (focusEditor) this.aceEditors.get(state.originalInput)?.editor.focus();
+    this.log("Left message list mode");
+  }
+
+  refreshStatusLine(originalInput) {
+    const editorData = this.aceEditors.get(originalInput);
+    if (editorData?.vimMode && editorData.statusLine) {
+      this.updateStatusLine(
+        editorData.editor,
+        editorData.vimMode,
+        editorData.statusLine
+      );
+    }
+  }
+
+  // Inputs outside the message list, where keys must reach Discord
+  isTypingTarget(target) {
+    const editable =
+      target?.isContentEditable ||
+      target?.matches?.("input, textarea, select");
+    return !!editable && !target.closest('[data-list-id="chat-messages"]');
+  }
+
+  handleMessageModeKeydown(e) {
+    const state = this.messageMode;
+    if (!state || state.suspended) return;
+    if (this.isTypingTarget(e.target)) return;
+    if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return;
+    // Leave Discord's own shortcuts (quick switcher etc.) alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    if (!this.aceEditors.has(state.originalInput)) {
+      this.exitMessageMode(false);
+      return;
+    }
+
+    if (e.key === "Escape") {
+      this.exitMessageMode();
+      return;
+    }
+
+    if (state.pending === '"') {
+      state.register = e.key;
+      state.pending = "";
+      return;
+    }
+
+    if (/^\d$/.test(e.key) && (state.count || e.key !== "0")) {
+      state.count += e.key;
+      return;
+    }
+
+    const count = parseInt(state.count) || 1;
+    const keys = state.pending + e.key;
+    state.pending = "";
+    state.count = "";
+
+    switch (keys) {
+      case "j":
+      case "ArrowDown":
+        this.selectMessage(this.getSelectedMessageIndex() + count);
+        break;
+      case "k":
+      case "ArrowUp":
+        this.selectMessage(this.getSelectedMessageIndex() - count);
+        break;
+      case "gg":
+        this.selectMessage(0);
+        break;
+      case "G":
+        this.selectMessage(this.getMessageElements().length - 1);
+        break;
+      case "g":
+      case "d":
+      case '"':
+        state.pending = keys;
+        break;
+      case "r":
+        this.replyToSelectedMessage();
+        break;
+      case "e":
+        this.editSelectedMessage();
+        break;
+      case "y":
+        this.yankSelectedMessage();
+        break;
+      case "+":
+        this.reactToSelectedMessage();
+        break;
+      case "dd":
+        this.deleteSelectedMessage();
+        break;
+    }
+  }
+
+  getMessageElements() {
+    const list = document.querySelector('[data-list-id="chat-messages"]');
+    return list ? [...list.querySelectorAll('li[id^="chat-messages-"]')] : [];
+  }
+
+  getSelectedMessageIndex() {
+    const state = this.messageMode;
+    const items = this.getMessageElements();
+    const index = items.findIndex((item) => item.id === state.selectedId);
+    // The selected message may have been deleted, stay at its position
+    return index !== -1 ? index : Math.min(state.index, items.length - 1);
+  }
+
+  selectMessage(index) {
+    const state = this.messageMode;
+    const items = this.getMessageElements();
+    if (!state || items.length === 0) return;
+
+    const clamped = Math.max(0, Math.min(items.length - 1, index));
+    const item = items[clamped];
+    document
+      .querySelectorAll(".vim-message-selected")
+      .forEach((el) => el.classList.remove("vim-message-selected"));
+    item.classList.add("vim-message-selected");
+    item.scrollIntoView({ block: "nearest" });
+
+    state.selectedId = item.id;
+    state.index = clamped;
+  }
+
+  getSelectedMessage() {
+    const item = this.getMessageElements()[this.getSelectedMessageIndex()];
+    if (!item) return null;
+
+    // List items are "chat-messages-{channelId}-{messageId}"
+    const [, channelId, messageId] =
+      item.id.match(/^chat-messages-(\d+)-(\d+)$/) || [];
+    const message =
+      (channelId &&
+        this.dcModules.ChatMessageStore?.getMessage(channelId, messageId)) ||
+      this.getMessageFromElement(item.querySelector('[class^="message"]'));
+
+    if (!message) this.log("Cannot resolve selected message", "warn");
+    return message ? { item, message } : null;
+  }
+
+  isOwnMessage(message) {
+    const currentUser = this.dcModules.UserStore?.getCurrentUser();
+    return !!currentUser && message.author?.id === currentUser.id;
+  }
+
+  // Own messages, or anyone's in a server channel with Manage Messages
+  canDeleteMessage(message) {
+    if (this.isOwnMessage(message)) return true;
+    const channel = this.dcModules.ChannelStore?.getChannel(
+      message.channel_id
+    );
+    return (
+      !!channel?.guild_id &&
+      !!this.dcModules.PermissionStore?.can(MANAGE_MESSAGES, channel)
+    );
+  }
+
+  replyToSelectedMessage() {
+    const selected = this.getSelectedMessage();
+    if (!selected) return;
+    const { message } = selected;
+
+    try {
+      const channel = this.dcModules.ChannelStore.getChannel(
+        message.channel_id
+      );
+      Dispatcher.dispatch({
+        type: "CREATE_PENDING_REPLY",
+        channel,
+        message,
+        shouldMention: true,
+        showMentionToggle: channel.guild_id != null,
+      });
+      this.exitMessageMode();
+      this.log(`Replying to message ${message.id}`);
+    } catch (e) {
+      this.log(`Failed to start reply: ${e.message}`, "error");
+    }
+  }
+
+  editSelectedMessage() {
+    const selected = this.getSelectedMessage();
+    if (!selected) return;
+    const { message } = selected;
+
+    if (!this.isOwnMessage(message)) {
+      BdApi.UI.showToast("You can only edit your own messages", {
+        type: "error",
+      });
+      return;
+    }
+
+    if (this.startEditingMessage(message)) this.exitMessageMode(false);
+  }
+
+  // Open Discord's edit UI; the observer then attaches an editor to it
+  startEditingMessage(message) {
+    try {
+      this.dcModules.MessageActions.startEditMessage(
+        message.channel_id,
+        message.id,
+        message.content
+      );
+      this.log(`Editing message ${message.id}`);
+      return true;
+    } catch (e) {
+      this.log(`Failed to start edit: ${e.message}`, "error");
+      return false;
+    }
+  }
+
+  editLastMessage(originalInput) {
+    if (this.isEditMode(originalInput)) return false;
+
+    const message = this.getLastOwnMessage(this.getCurrentChannelId());
+    if (!message) {
+      this.log("No message of yours to edit in this channel");
+      return false;
+    }
+    return this.startEditingMessage(message);
+  }
+
+  getLastOwnMessage(channelId) {
+    const messages =
+      channelId && this.dcModules.ChatMessageStore?.getMessages(channelId);
+    if (!messages) return null;
+
+    const list = messages.toArray?.() ?? messages._array ?? [];
+    // Default and reply messages are the ones Discord lets you edit
+    for (let i = list.length - 1; i >= 0; i--) {
+      const message = list[i];
+      if (this.isOwnMessage(message) && [0, 19].includes(message.type))
+        return message;
+    }
+    return null;
+  }
+
+  yankSelectedMessage() {
+    const state = this.messageMode;
+    const selected = this.getSelectedMessage();
+    if (!selected) return;
+
+    const { vimMode } = this.aceEditors.get(state.originalInput);
+    const registerName = state.register;
+    state.register = null;
+
+    try {
+      vimMode.constructor.Vim.getRegisterController().pushText(
+        registerName,
+        "yank",
+        selected.message.content
+      );
+      BdApi.UI.showToast(
+        `Message yanked${registerName ? ` to "${registerName}` : ""}`,
+        { type: "success" }
+      );
+    } catch (e) {
+      this.log(`Failed to yank message: ${e.message}`, "error");
+    }
+  }
+
+  reactToSelectedMessage() {
+    const selected = this.getSelectedMessage();
+    if (!selected) return;
+    const { item } = selected;
+
+    // The reaction button only exists while the message is hovered
+    item
+      .querySelector('[class^="message"]')
+      ?.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+    setTimeout(() => {
+      const button = item.querySelector(
+        '[class*="buttons"] [aria-label*="reaction" i]'
+      );
+      if (!button) {
+        BdApi.UI.showToast("Cannot find the reaction button", {
+          type: "error",
+        });
+        return;
+      }
+      // The picker takes the keyboard for its search field
+      this.exitMessageMode(false);
+      button.click();
+    }, 50);
+  }
+
+  deleteSelectedMessage() {
+    const state = this.messageMode;
+    const selected = this.getSelectedMessage();
+    if (!selected) return;
+    const { message } = selected;
+
+    if (!this.canDeleteMessage(message)) {
+      BdApi.UI.showToast("You can't delete this message", {
+        type: "error",
+      });
+      return;
+    }
+
+    // Let the modal have the keyboard until it closes
+    state.suspended = true;
+    const resume = () => {
+      if (this.messageMode === state) state.suspended = false;
+    };
+
+    BdApi.UI.showConfirmationModal(
+      "Delete Message",
+      `Delete this message?\n\n${message.content || "(no text)"}`,
+      {
+        danger: true,
+        confirmText: "Delete",
+        cancelText: "Cancel",
+        onConfirm: async () => {
+          resume();
+          try {
+            await this.dcModules.MessageActions.deleteMessage(
+              message.channel_id,
+              message.id
+            );
+            this.log(`Deleted message ${message.id}`);
+          } catch (e) {
+            // Discord rejects with the HTTP response, not an Error
+            const reason = e?.body?.message ?? e?.message ?? e?.status;
+            this.log(`Failed to delete message: ${reason}`, "error");
+            BdApi.UI.showToast("Failed to delete message", { type: "error" });
+          }
+        },
+        onCancel: resume,
+      }
+    );
+  }
+
+  // Resolve the Discord message object for an element inside a message
+  getMessageFromElement(element) {
+    // Find message element
+    const messageDiv = element?.closest
+      ? element.closest("li > [class^=message]")
+      : null;
+
+    if (!messageDiv) {
+      this.log("Cannot find message element", "error");
+      return null;
+    }
+
+    // Get React instance
+    const instance = BdApi.ReactUtils.getInternalInstance(messageDiv);
+    if (!instance) {
+      this.log("Cannot find React instance for message", "error");
+      return null;
+    }
+
+    // Find message data in React tree
+    const walkable = ["child", "memoizedProps", "sibling"];
+    const messageObj =
+      BdApi.Utils.findInTree(instance, (m) => m?.baseMessage, { walkable })
+        ?.baseMessage ??
+      BdApi.Utils.findInTree(instance, (m) => m?.message, { walkable })
+        ?.message;
+
+    if (!messageObj) {
+      this.log("Cannot find message data in React tree", "error");
+      return null;
+    }
+    return messageObj;
+  }
+
+  // Remove the editor from an input, handing its text and cursor back to
+  // Discord's Slate editor when keepCursor is set
+  detachAceEditor(originalInput, keepCursor = false) {
+    const editorData = this.aceEditors.get(originalInput);
+    if (!editorData) return;
+
+    const text = editorData.editor.getValue();
+    const { row, column } = editorData.editor.getCursorPosition();
+    this.destroyAceEditor(originalInput);
+    if (!keepCursor) return;
+
+    if (!this.isEditMode(originalInput)) {
+      // Slate owns the draft from now on, so the cache would be stale
+      const channelId = this.getCurrentChannelId();
+      if (channelId) this.draftCache.delete(channelId);
+    }
+    if (!this.setSlateState(originalInput, text, row, column)) {
+      this.log("Slate editor not found, could not restore text", "warn");
+    }
+  }
+
+  getSlateEditor(originalInput) {
+    try {
+      const props = BdApi.Utils.findInTree(
+        BdApi.ReactUtils.getInternalInstance(originalInput),
+        (node) =>
+          typeof node?.editor?.onChange === "function" &&
+          Array.isArray(node.editor.children),
+        { walkable: ["return", "memoizedProps"] }
+      );
+      return props?.editor ?? null;
+    } catch (e) {
+      this.log(`Failed to find Slate editor: ${e.message}`, "warn");
+      return null;
+    }
+  }
+
+  // Turn a Slate node back into message markup
+  serializeSlateNode(node) {
+    if (typeof node.text === "string") return node.text;
+    switch (node.type) {
+      case "userMention":
+        return `<@${node.userId}>`;
+      case "roleMention":
+        return `<@&${node.roleId}>`;
+      case "channelMention":
+        return `<#${node.channelId}>`;
+      case "emoji":
+        return node.emoji?.surrogate ?? `:${node.emoji?.name}:`;
+      case "customEmoji":
+        return `<${node.emoji?.animated ? "a" : ""}:${node.emoji?.name}:${
+          node.emoji?.emojiId
+        }>`;
+    }
+    return (node.children ?? [])
+      .map((child) => this.serializeSlateNode(child))
+      .join("");
+  }
+
+  // Text and cursor of the Slate editor, with the cursor as an Ace position
+  getSlateState(originalInput) {
+    const editor = this.getSlateEditor(originalInput);
+    if (!editor) return null;
+
+    const lines = editor.children.map((line) => this.serializeSlateNode(line));
+    const text = lines.join("\n");
+    const focus = editor.selection?.focus;
+    if (!focus) {
+      const row = lines.length - 1;
+      return { text, row, column: lines[row]?.length ?? 0 };
+    }
+
+    const [row, index = 0] = focus.path;
+    const before = (editor.children[row]?.children ?? [])
+      .slice(0, index)
+      .map((node) => this.serializeSlateNode(node))
+      .join("");
+    return { text, row, column: before.length + focus.offset };
+  }
+
+  restoreSlateState(editor, originalInput, { text, row, column }) {
+    editor.setValue(text, -1);
+    editor.moveCursorTo(row, column);
+    editor.clearSelection();
+
+    if (!this.isEditMode(originalInput)) {
+      const channelId = this.getCurrentChannelId();
+      if (channelId) this.draftCache.set(channelId, text);
+    }
+  }
+
+  setSlateState(originalInput, text, row, column) {
+    const editor = this.getSlateEditor(originalInput);
+    if (!editor) return false;
+
+    // Replacing children and calling onChange is how Slate resets a document
+    const lines = text.split("\n");
+    editor.children = lines.map((line) => ({
+      type: "line",
+      children: [{ text: line }],
+    }));
+    const point = {
+      path: [row, 0],
+      offset: Math.min(column, lines[row].length),
+    };
+    editor.selection = { anchor: point, focus: point };
+    editor.onChange();
+    return true;
+  }
+
   destroyAceEditor(originalInput) {
     const editorData = this.aceEditors.get(originalInput);
     if (!editorData) return;
@@ -2129,11 +6786,16 @@ module.exports = class VimMotionsPlugin {
         editor,
         wrapper,
         keydownListener,
+        captureKeydownListener,
+        attachmentListener,
         clickListener,
         editorDiv,
         textarea,
+        surround,
       } = editorData;
 
+      clearTimeout(surround?.timer);
+
       // Remove event listeners
       try {
         const ta =
@@ -2146,6 +6808,16 @@ module.exports = class VimMotionsPlugin {
           ta.removeEventListener("keydown", keydownListener);
         if (editorDiv && clickListener)
           editorDiv.removeEventListener("click", clickListener);
+        if (editorDiv && captureKeydownListener)
+          editorDiv.removeEventListener(
+            "keydown",
+            captureKeydownListener,
+            true
+          );
+        if (wrapper && attachmentListener)
+          ["paste", "dragover", "drop"].forEach((type) =>
+            wrapper.removeEventListener(type, attachmentListener, true)
+          );
       } catch (err) {}
 
       // Destroy Ace editor safely
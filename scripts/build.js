@@ -1,23 +1,78 @@
 #!/usr/bin/env node
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const terser = require("terser");
 
 /**
  * Build script for BetterDiscord VimMotions plugin
- * Usage: node scripts/build.js [version]
- * Example: node scripts/build.js 1.2.0
+ * Usage: node scripts/build.js [version] [--bundle]
+ * Example: node scripts/build.js 1.2.0 --bundle
  */
 
 const PLUGIN_PATH = path.join(__dirname, "../plugins/VimMotions.plugin.js");
 const OUTPUT_PATH = path.join(__dirname, "../dist/VimMotions.plugin.js");
+const ACE_BUILDS_PATH = path.join(__dirname, "../node_modules/ace-builds");
 
 function updateVersion(content, newVersion) {
   // Update the @version line in the plugin metadata
   return content.replace(/(@version\s+)[\d.]+/, `$1${newVersion}`);
 }
 
+function bundleAce(content) {
+  // The plugin source is the single place that pins the Ace version and files
+  const versionMatch = content.match(/const ACE_VERSION = "([^"]+)";/);
+  const filesMatch = content.match(/const ACE_FILES = \{([\s\S]*?)\};/);
+  if (!versionMatch || !filesMatch) {
+    throw new Error("ACE_VERSION or ACE_FILES not found in plugin source");
+  }
+  const aceVersion = versionMatch[1];
+  const files = [
+    ...filesMatch[1].matchAll(/file:\s*"([^"]+)",\s*integrity:\s*"([^"]+)"/g),
+  ].map((m) => ({ fileName: m[1], integrity: m[2] }));
+  const fileNames = files.map((f) => f.fileName);
+
+  const packageJsonPath = path.join(ACE_BUILDS_PATH, "package.json");
+  if (!fs.existsSync(packageJsonPath)) {
+    throw new Error("ace-builds is not installed, run `npm install` first");
+  }
+  const installedVersion = JSON.parse(
+    fs.readFileSync(packageJsonPath, "utf8")
+  ).version;
+  if (installedVersion !== aceVersion) {
+    throw new Error(
+      `Installed ace-builds ${installedVersion} does not match pinned ${aceVersion}`
+    );
+  }
+
+  const sources = {};
+  files.forEach(({ fileName, integrity }) => {
+    const buffer = fs.readFileSync(
+      path.join(ACE_BUILDS_PATH, "src-min-noconflict", fileName)
+    );
+    // Embed exactly the files the CDN loader would accept
+    const actual = `sha384-${crypto
+      .createHash("sha384")
+      .update(buffer)
+      .digest("base64")}`;
+    if (actual !== integrity) {
+      throw new Error(`Integrity mismatch for ${fileName}: got ${actual}`);
+    }
+    sources[fileName] = buffer.toString("utf8");
+  });
+
+  const placeholder = "const EMBEDDED_ACE = null;";
+  if (!content.includes(placeholder)) {
+    throw new Error("EMBEDDED_ACE placeholder not found in plugin source");
+  }
+  console.log(`📦 Embedding ace-builds ${aceVersion}: ${fileNames.join(", ")}`);
+  return content.replace(
+    placeholder,
+    () => `const EMBEDDED_ACE = ${JSON.stringify(sources)};`
+  );
+}
+
 async function minifyCode(content) {
   // Extract metadata (JSDoc header) to preserve it
   const metadataMatch = content.match(/(\/\*[\s\S]*?\*\/\s*)/);
@@ -43,7 +98,7 @@ async function minifyCode(content) {
   // Combine metadata with minified code
   return metadata + (result.code || "");
 }
-async function build(version) {
+async function build(version, bundle) {
   console.log("🔨 Building VimMotions plugin...");
 
   // Read the plugin file
@@ -70,12 +125,15 @@ async function build(version) {
     fs.mkdirSync(distDir, { recursive: true });
   }
 
+  // Embed Ace so the built plugin works without the CDN
+  const output = bundle ? bundleAce(content) : content;
+
   // Minify and save to dist
   console.log("🗜️  Minifying code...");
-  const minified = await minifyCode(content);
+  const minified = await minifyCode(output);
   fs.writeFileSync(OUTPUT_PATH, minified, "utf8");
 
-  const originalSize = Buffer.byteLength(content, "utf8");
+  const originalSize = Buffer.byteLength(output, "utf8");
   const minifiedSize = Buffer.byteLength(minified, "utf8");
   const reduction = ((1 - minifiedSize / originalSize) * 100).toFixed(2);
 
@@ -88,27 +146,33 @@ async function build(version) {
   console.log("🎉 Build complete!");
 }
 
-// Get version from command line argument
-const version = process.argv[2];
+// Get version and flags from command line arguments
+const args = process.argv.slice(2);
+const version = args.find((arg) => !arg.startsWith("-"));
+const bundle = args.includes("--bundle");
 
 if (process.argv.includes("--help") || process.argv.includes("-h")) {
   console.log(`
 Build script for BetterDiscord VimMotions plugin
 
 Usage:
-  node scripts/build.js [version]
+  node scripts/build.js [version] [--bundle]
 
 Arguments:
   version    (optional) Version number to set in the plugin metadata
 
+Options:
+  --bundle   Embed the pinned ace-builds files so the plugin works offline
+
 Examples:
-  node scripts/build.js           # Build without changing version
-  node scripts/build.js 1.2.0     # Build and update version to 1.2.0
+  node scripts/build.js                  # Build without changing version
+  node scripts/build.js 1.2.0            # Build and update version to 1.2.0
+  node scripts/build.js 1.2.0 --bundle   # Same, with Ace embedded
   `);
   process.exit(0);
 }
 
-build(version).catch((err) => {
+build(version, bundle).catch((err) => {
   console.error("Build failed:", err);
   process.exit(1);
 });